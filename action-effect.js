@@ -0,0 +1,107 @@
+// Action Effect - Compares the page before and after an action to tell whether it did anything
+// A click that lands on nothing still reports success, so the engine looks for an observable change
+
+(function() {
+    // Actions that may legitimately leave the page exactly as it was
+    const UNVERIFIED_TYPES = ['wait', 'wait_for', 'analyze_form', 'hover', 'hover_at'];
+
+    // Screens closer than this many bits are the same screen (cursor moves, JPEG noise)
+    const VISUAL_CHANGE_BITS = 3;
+
+    const HASH_SIZE = 16;
+
+    function isVerified(action) {
+        return !UNVERIFIED_TYPES.includes(action.type);
+    }
+
+    // Difference hash: one bit per pixel of a 17x16 thumbnail, set when it is brighter than its right neighbour
+    async function perceptualHash(dataUrl) {
+        const blob = await (await fetch(dataUrl)).blob();
+        const bitmap = await createImageBitmap(blob);
+        const canvas = new OffscreenCanvas(HASH_SIZE + 1, HASH_SIZE);
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(bitmap, 0, 0, HASH_SIZE + 1, HASH_SIZE);
+        bitmap.close();
+
+        const { data } = context.getImageData(0, 0, HASH_SIZE + 1, HASH_SIZE);
+        const brightness = index => data[index * 4] + data[index * 4 + 1] + data[index * 4 + 2];
+
+        let bits = '';
+        for (let y = 0; y < HASH_SIZE; y++) {
+            for (let x = 0; x < HASH_SIZE; x++) {
+                const index = y * (HASH_SIZE + 1) + x;
+                bits += brightness(index) > brightness(index + 1) ? '1' : '0';
+            }
+        }
+        return bits;
+    }
+
+    function hammingDistance(a, b) {
+        let distance = Math.abs(a.length - b.length);
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            if (a[i] !== b[i]) distance++;
+        }
+        return distance;
+    }
+
+    // before and after are { url, page, visualHash }, page being PageActivity.captureState() or null
+    // when the content script could not be reached; after.openedTabs lists the URLs of tabs the action opened.
+    // Returns { changed, noEffect, summary, ... }
+    function compare(before, after) {
+        const changes = [];
+        const urlChanged = before.url !== after.url;
+        const reloaded = Boolean(before.page && after.page && before.page.pageId !== after.page.pageId);
+        const openedTabs = after.openedTabs || [];
+
+        if (openedTabs.length) {
+            changes.push(`opened ${openedTabs.length === 1 ? 'a new tab' : `${openedTabs.length} new tabs`} (${openedTabs.join(', ')})`);
+        }
+        if (urlChanged) {
+            changes.push(`URL changed to ${after.url}`);
+        } else if (reloaded) {
+            changes.push('page reloaded');
+        }
+
+        // In-page counters restart with a new document, so only compare them on the same one
+        let domChanges = null;
+        if (before.page && after.page && !reloaded) {
+            domChanges = Math.max(0, after.page.mutations - before.page.mutations);
+            if (domChanges) changes.push(`${domChanges} DOM change${domChanges === 1 ? '' : 's'}`);
+            if (before.page.focus !== after.page.focus) changes.push('focus moved');
+            if (before.page.form !== after.page.form) changes.push('form values changed');
+            if (before.page.scroll.x !== after.page.scroll.x || before.page.scroll.y !== after.page.scroll.y) {
+                changes.push('page scrolled');
+            }
+        }
+
+        const visualDistance = before.visualHash && after.visualHash ? hammingDistance(before.visualHash, after.visualHash) : null;
+        if (visualDistance !== null && visualDistance >= VISUAL_CHANGE_BITS) {
+            changes.push('screen changed');
+        }
+
+        // Nothing can be said without the page state on both sides
+        const measured = Boolean(before.page && after.page) || urlChanged || openedTabs.length > 0;
+        let summary = changes.join(', ');
+        if (!summary) {
+            summary = measured ? 'no change to URL, page content, focus, form values, scroll position or screen' : 'not measured';
+        }
+
+        return {
+            changed: changes.length > 0,
+            noEffect: measured && changes.length === 0,
+            summary,
+            domChanges,
+            visualDistance,
+            openedTabs
+        };
+    }
+
+    // Export for the service worker
+    self.ActionEffect = {
+        isVerified,
+        perceptualHash,
+        hammingDistance,
+        compare
+    };
+})();
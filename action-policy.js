@@ -0,0 +1,172 @@
+// Action Policy - Classifies sensitive actions and decides whether they may run
+// Each category resolves to allow, confirm (ask the user) or block, with per-site overrides
+
+(function() {
+    const CATEGORIES = {
+        purchase: 'Purchase or payment',
+        destructive: 'Destructive action',
+        form_submit: 'Form submission',
+        cross_domain: 'Navigation to another site',
+        close_tab: 'Closing a tab'
+    };
+
+    const DECISIONS = ['allow', 'confirm', 'block'];
+
+    // Actions that press a button and whose target the background has to look up first
+    const CLICK_TYPES = ['click', 'click_at', 'double_click'];
+    const TARGETED_TYPES = [...CLICK_TYPES, 'press_enter', 'press_keys'];
+
+    const DEFAULT_RULES = {
+        defaults: {
+            purchase: 'confirm',
+            destructive: 'confirm',
+            form_submit: 'confirm',
+            cross_domain: 'confirm',
+            close_tab: 'confirm'
+        },
+        sites: {}
+    };
+
+    const PURCHASE_PATTERN = /\b(buy|purchase|checkout|check out|place (your )?order|pay( now)?|payment|subscribe|confirm order|complete order|add payment)\b/i;
+    const DESTRUCTIVE_PATTERN = /\b(delete|remove|erase|destroy|deactivate|close (my )?account|cancel (my )?(subscription|membership|account)|unsubscribe|discard|wipe|reset)\b/i;
+    const SUBMIT_PATTERN = /\b(submit|send|sign up|register|save|confirm|apply|post|publish)\b/i;
+
+    function resolveRules(stored = {}) {
+        const defaults = { ...DEFAULT_RULES.defaults };
+        for (const [category, decision] of Object.entries(stored.defaults || {})) {
+            if (CATEGORIES[category] && DECISIONS.includes(decision)) {
+                defaults[category] = decision;
+            }
+        }
+
+        const sites = {};
+        for (const [site, rules] of Object.entries(stored.sites || {})) {
+            const cleaned = {};
+            for (const [category, decision] of Object.entries(rules || {})) {
+                if (CATEGORIES[category] && DECISIONS.includes(decision)) {
+                    cleaned[category] = decision;
+                }
+            }
+            sites[site.toLowerCase().replace(/^www\./, '')] = cleaned;
+        }
+
+        return { defaults, sites };
+    }
+
+    function hostnameOf(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    // Approximate registrable domain: last two labels, three for short second-level labels (co.uk, com.au)
+    function siteOf(hostname) {
+        const labels = hostname.split('.');
+        if (labels.length <= 2) return hostname;
+        const keep = labels[labels.length - 2].length <= 3 && labels[labels.length - 1].length === 2 ? 3 : 2;
+        return labels.slice(-keep).join('.');
+    }
+
+    // Control+Enter and Meta+Enter submit chat and mail forms just like Enter
+    function pressesEnterKey(chord) {
+        try {
+            return self.Keyboard.parseChord(chord).key === 'Enter';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function describeTarget(action, target) {
+        return [
+            action.selector,
+            target?.text,
+            target?.ariaLabel,
+            target?.value
+        ].filter(Boolean).join(' ');
+    }
+
+    // Returns [{ category, reason }] for everything sensitive about this action
+    function classifyAction(action, context = {}) {
+        const findings = [];
+        const target = context.target;
+        const label = describeTarget(action, target);
+
+        if (action.type === 'close_tab') {
+            findings.push({ category: 'close_tab', reason: 'Closes a browser tab' });
+        }
+
+        if ((action.type === 'navigate' || action.type === 'new_tab') && action.url) {
+            // Browser pages like the new-tab page are not a site being left
+            const currentUrl = context.currentUrl || '';
+            const from = /^https?:/i.test(currentUrl) ? siteOf(hostnameOf(currentUrl)) : '';
+            const to = siteOf(hostnameOf(action.url));
+            if (to && from && to !== from) {
+                findings.push({ category: 'cross_domain', reason: `Leaves ${from} for ${to}` });
+            }
+        }
+
+        const pressesEnter = action.type === 'press_enter' ||
+            (action.type === 'press_keys' && action.keys.some(pressesEnterKey));
+        if (CLICK_TYPES.includes(action.type) || pressesEnter) {
+            if (PURCHASE_PATTERN.test(label)) {
+                findings.push({ category: 'purchase', reason: `Looks like a purchase: "${label.substring(0, 60)}"` });
+            }
+            if (DESTRUCTIVE_PATTERN.test(label)) {
+                findings.push({ category: 'destructive', reason: `Looks destructive: "${label.substring(0, 60)}"` });
+            }
+
+            // Search boxes submit constantly and are harmless
+            const submits = pressesEnter ?
+                target?.inForm && !target.isSearch :
+                target?.isSubmit || (target?.inForm && SUBMIT_PATTERN.test(label));
+            if (submits) {
+                findings.push({ category: 'form_submit', reason: `Submits a form${target.formAction ? ` to ${target.formAction}` : ''}` });
+            }
+        }
+
+        return findings;
+    }
+
+    function ruleFor(category, hostname, rules) {
+        // Most specific matching site wins
+        const site = Object.keys(rules.sites)
+            .filter(key => hostname === key || hostname.endsWith(`.${key}`))
+            .sort((a, b) => b.length - a.length)
+            .find(key => rules.sites[key][category]);
+
+        return site ? rules.sites[site][category] : rules.defaults[category];
+    }
+
+    // Strictest decision across all findings: block > confirm > allow
+    function evaluate(action, context, rules) {
+        const findings = classifyAction(action, context);
+        const hostname = hostnameOf(context.currentUrl || '');
+        let decision = 'allow';
+        const reasons = [];
+
+        for (const finding of findings) {
+            const rule = ruleFor(finding.category, hostname, rules);
+            if (rule === 'allow') continue;
+
+            reasons.push(`${CATEGORIES[finding.category]}: ${finding.reason}`);
+            if (DECISIONS.indexOf(rule) > DECISIONS.indexOf(decision)) {
+                decision = rule;
+            }
+        }
+
+        return { decision, reasons, findings };
+    }
+
+    // Export for the service worker
+    self.ActionPolicy = {
+        CATEGORIES,
+        DECISIONS,
+        DEFAULT_RULES,
+        TARGETED_TYPES,
+        resolveRules,
+        classifyAction,
+        evaluate
+    };
+})();
@@ -0,0 +1,203 @@
+// Action Recorder - Turns the user's own clicks, typing and selections into actions
+// Steps use the schema the controller executes; each locator is checked to resolve back to the same element
+
+(function() {
+    if (self.ActionRecorder) return;
+
+    const EDITABLE_SELECTOR = '[contenteditable=""], [contenteditable="true"], [contenteditable="plaintext-only"]';
+    const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'number', 'password'];
+
+    // Label clicks and Enter in a form are followed by a click the browser sends on to the control or submit button
+    const FORWARDED_CLICK_MS = 100;
+
+    let onAction = null;
+    let attachedDocuments = [];
+
+    // Text field being typed into, emitted as one "type" step when the user moves on
+    let typing = null;
+    let forwardedClick = null;
+
+    // Actual target, also inside open shadow roots
+    function targetOf(event) {
+        const [target] = event.composedPath();
+        return target?.nodeType === Node.ELEMENT_NODE ? target : target?.parentElement || null;
+    }
+
+    function textFieldOf(element) {
+        if (!element) return null;
+        if (element.tagName === 'TEXTAREA') return element;
+        if (element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(element.type || 'text')) return element;
+        return element.isContentEditable ? element.closest(EDITABLE_SELECTOR) : null;
+    }
+
+    function valueOf(field) {
+        return field.isContentEditable ? field.innerText.replace(/\n$/, '') : field.value;
+    }
+
+    // The controller presses Enter itself after typing into these
+    function isAutoSubmitField(field) {
+        return field.type === 'search' || field.name === 'q' || Boolean(field.placeholder?.toLowerCase().includes('search'));
+    }
+
+    function quote(value) {
+        return `"${value.replace(/["\\]/g, '\\$&')}"`;
+    }
+
+    // Generated ids and names (ember123, react-select-5-input) do not survive a reload
+    function isStable(value) {
+        return Boolean(value) && !/\d{3,}/.test(value) && value.length <= 60;
+    }
+
+    // Stable attributes first, then the accessible name, then the DOM path; a locator is only kept
+    // when it resolves back to this element on its own
+    function locatorFor(element) {
+        const tag = element.tagName.toLowerCase();
+        const role = self.PageSnapshot.roleOf(element);
+        const name = self.PageSnapshot.nameOf(element).replace(/\s+/g, ' ').trim();
+        const testId = ['data-testid', 'data-test', 'data-qa', 'data-cy']
+            .map(attribute => [attribute, element.getAttribute(attribute)])
+            .find(([, value]) => value);
+
+        const candidates = [];
+        if (isStable(element.id)) candidates.push({ selector: `${tag}[id=${quote(element.id)}]` });
+        if (testId) candidates.push({ selector: `[${testId[0]}=${quote(testId[1])}]` });
+        if (isStable(element.getAttribute('name'))) candidates.push({ selector: `${tag}[name=${quote(element.getAttribute('name'))}]` });
+        if (element.getAttribute('aria-label')) candidates.push({ selector: `${tag}[aria-label=${quote(element.getAttribute('aria-label'))}]` });
+        if (name && name.length <= 80) candidates.push({ selector: name, role });
+
+        for (const candidate of candidates) {
+            const resolution = self.ElementResolver.resolve(candidate.selector, { role: candidate.role || null });
+            if (resolution.element === element) return candidate;
+        }
+
+        // Same-document path as a last resort; paths through shadow roots and frames are not CSS
+        const path = self.ElementFingerprint.capture(element).path;
+        if (!path.includes('>>')) return { selector: path };
+        return candidates[candidates.length - 1] || { selector: path };
+    }
+
+    function emit(action, extra = {}) {
+        console.log('⏺️ Recorded:', action.type, action.selector || action.text || '');
+        onAction?.({ action, ...extra });
+    }
+
+    function flushTyping() {
+        if (!typing) return;
+        const { field } = typing;
+        typing = null;
+
+        // Passwords never leave the page; the background turns them into vault placeholders
+        const sensitive = field.type === 'password';
+        emit({ type: 'type', ...locatorFor(field), text: sensitive ? '' : valueOf(field) }, { sensitive });
+    }
+
+    function onInput(event) {
+        if (!event.isTrusted) return;
+        const field = textFieldOf(targetOf(event));
+        if (!field) return;
+
+        if (typing?.field !== field) {
+            flushTyping();
+            typing = { field };
+        }
+    }
+
+    function onChange(event) {
+        if (!event.isTrusted) return;
+        const target = targetOf(event);
+
+        if (target?.tagName === 'SELECT') {
+            flushTyping();
+            const option = target.selectedOptions[0];
+            if (option) emit({ type: 'type', ...locatorFor(target), text: option.text.trim() });
+            return;
+        }
+        if (typing && textFieldOf(target) === typing.field) {
+            flushTyping();
+        }
+    }
+
+    function onKeyDown(event) {
+        if (!event.isTrusted || event.key !== 'Enter' || event.shiftKey || event.isComposing) return;
+        const field = textFieldOf(targetOf(event));
+        if (!field || field.tagName === 'TEXTAREA' || field.isContentEditable) return;
+
+        const typedHere = typing?.field === field;
+        flushTyping();
+        if (field.form) {
+            forwardedClick = { matches: element => element.form === field.form, at: Date.now() };
+        }
+        if (!(typedHere && isAutoSubmitField(field))) {
+            emit({ type: 'press_enter' });
+        }
+    }
+
+    function onClick(event) {
+        if (!event.isTrusted || event.button !== 0) return;
+        const target = targetOf(event);
+        if (!target || target.closest('#ai-cursor, #ai-marks')) return;
+
+        // Focusing a field is implied by typing into it; selects are recorded on change
+        if (textFieldOf(target) || target.closest('select, option')) return;
+
+        const element = target.closest(self.PageSnapshot.INTERACTIVE_SELECTOR) || target;
+        if (forwardedClick && Date.now() - forwardedClick.at < FORWARDED_CLICK_MS && forwardedClick.matches(element)) return;
+
+        flushTyping();
+        const label = element.closest('label');
+        forwardedClick = label?.control ? { matches: candidate => candidate === label.control, at: Date.now() } : null;
+        emit({ type: 'click', ...locatorFor(element) });
+    }
+
+    function onFocusOut(event) {
+        if (typing && textFieldOf(targetOf(event)) === typing.field) {
+            flushTyping();
+        }
+    }
+
+    const LISTENERS = {
+        click: onClick,
+        input: onInput,
+        change: onChange,
+        keydown: onKeyDown,
+        focusout: onFocusOut
+    };
+
+    // Events bubble out of shadow roots but not out of frames, so listen on every same-origin document
+    function start(callback) {
+        onAction = callback;
+        if (attachedDocuments.length) return;
+
+        attachedDocuments = self.DomTraversal.collectRoots(document).filter(root => root.nodeType === Node.DOCUMENT_NODE);
+        for (const doc of attachedDocuments) {
+            for (const [type, listener] of Object.entries(LISTENERS)) {
+                doc.addEventListener(type, listener, true);
+            }
+        }
+        console.log('⏺️ Recording user actions');
+    }
+
+    // Returns the steps still pending (a field being typed into) instead of sending them
+    function stop() {
+        const flushed = [];
+        onAction = recorded => flushed.push(recorded);
+        flushTyping();
+        for (const doc of attachedDocuments) {
+            for (const [type, listener] of Object.entries(LISTENERS)) {
+                doc.removeEventListener(type, listener, true);
+            }
+        }
+        attachedDocuments = [];
+        onAction = null;
+        console.log('⏹️ Recording stopped');
+        return flushed;
+    }
+
+    self.ActionRecorder = {
+        start,
+        stop,
+        get isRecording() {
+            return Boolean(onAction);
+        }
+    };
+})();
@@ -0,0 +1,469 @@
+// Action Schema - Formal definitions for every action the model may return
+// Tolerant response parsing plus strict validation before anything is dispatched
+
+(function() {
+    const FIELD_TYPES = [
+        'email', 'username', 'password', 'confirmPassword', 'firstName', 'lastName',
+        'fullName', 'phone', 'address', 'city', 'country', 'zipcode', 'company', 'search'
+    ];
+
+    // Hints for ranking text and selector matches: the expected role and a screenshot point it is near
+    const LOCATOR_HINTS = {
+        role: { type: 'string', minLength: 1 },
+        near: {
+            type: 'object',
+            properties: {
+                x: { type: 'number', minimum: 0 },
+                y: { type: 'number', minimum: 0 }
+            },
+            required: ['x', 'y']
+        }
+    };
+
+    // JSON Schema subset: type, enum, minLength, minimum, maximum, items, minItems,
+    // properties, required, additionalProperties and anyOf (alternative required sets)
+    const ACTION_SCHEMAS = {
+        navigate: {
+            description: 'Go to a URL',
+            properties: {
+                url: { type: 'string', minLength: 1 }
+            },
+            required: ['url']
+        },
+        click: {
+            description: 'Click an element by snapshot ref, screenshot mark, CSS selector or visible text',
+            properties: {
+                ref: { type: 'string', minLength: 1 },
+                mark: { type: 'integer', minimum: 1 },
+                selector: { type: 'string', minLength: 1 },
+                ...LOCATOR_HINTS
+            },
+            anyOf: [['ref'], ['mark'], ['selector']]
+        },
+        click_at: {
+            description: 'Click at a pixel position in the screenshot',
+            properties: {
+                x: { type: 'number', minimum: 0 },
+                y: { type: 'number', minimum: 0 }
+            },
+            required: ['x', 'y']
+        },
+        double_click: {
+            description: 'Double-click at a pixel position in the screenshot',
+            properties: {
+                x: { type: 'number', minimum: 0 },
+                y: { type: 'number', minimum: 0 }
+            },
+            required: ['x', 'y']
+        },
+        right_click: {
+            description: 'Right-click (context menu) at a pixel position in the screenshot',
+            properties: {
+                x: { type: 'number', minimum: 0 },
+                y: { type: 'number', minimum: 0 }
+            },
+            required: ['x', 'y']
+        },
+        hover_at: {
+            description: 'Move the cursor to a pixel position in the screenshot',
+            properties: {
+                x: { type: 'number', minimum: 0 },
+                y: { type: 'number', minimum: 0 }
+            },
+            required: ['x', 'y']
+        },
+        drag: {
+            description: 'Press at x,y, move to toX,toY and release (screenshot pixels)',
+            properties: {
+                x: { type: 'number', minimum: 0 },
+                y: { type: 'number', minimum: 0 },
+                toX: { type: 'number', minimum: 0 },
+                toY: { type: 'number', minimum: 0 }
+            },
+            required: ['x', 'y', 'toX', 'toY']
+        },
+        hover: {
+            description: 'Move the cursor over an element',
+            properties: {
+                ref: { type: 'string', minLength: 1 },
+                mark: { type: 'integer', minimum: 1 },
+                selector: { type: 'string', minLength: 1 },
+                ...LOCATOR_HINTS
+            },
+            anyOf: [['ref'], ['mark'], ['selector']]
+        },
+        type: {
+            description: 'Type text into a field or rich text editor found by snapshot ref, mark, selector, field type, or the focused field',
+            properties: {
+                text: { type: 'string' },
+                ref: { type: 'string', minLength: 1 },
+                mark: { type: 'integer', minimum: 1 },
+                selector: { type: 'string', minLength: 1 },
+                ...LOCATOR_HINTS,
+                fieldType: { type: 'string', enum: FIELD_TYPES },
+                typing: { type: 'string', enum: ['instant', 'keystrokes'] },
+                mode: { type: 'string', enum: ['replace', 'append'] }
+            },
+            required: ['text']
+        },
+        press_keys: {
+            description: 'Press keys or chords in order, e.g. ["Control+A", "Backspace"], optionally focusing an element first',
+            properties: {
+                keys: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+                ref: { type: 'string', minLength: 1 },
+                mark: { type: 'integer', minimum: 1 },
+                selector: { type: 'string', minLength: 1 },
+                ...LOCATOR_HINTS
+            },
+            required: ['keys']
+        },
+        fill_form: {
+            description: 'Fill a whole form, keys are field types',
+            properties: {
+                data: {
+                    type: 'object',
+                    propertyNames: FIELD_TYPES,
+                    additionalProperties: { type: 'string' }
+                }
+            },
+            required: ['data']
+        },
+        analyze_form: {
+            description: 'Return the detected form fields',
+            properties: {}
+        },
+        press_enter: {
+            description: 'Press Enter in the focused element',
+            properties: {}
+        },
+        scroll: {
+            description: 'Scroll the page',
+            properties: {
+                direction: { type: 'string', enum: ['up', 'down'] }
+            }
+        },
+        wait: {
+            description: 'Wait for a duration in milliseconds',
+            properties: {
+                duration: { type: 'number', minimum: 0, maximum: 30000 }
+            }
+        },
+        wait_for: {
+            description: 'Wait until an element or text appears (or with state "hidden" disappears) or the URL matches, timeout in milliseconds',
+            properties: {
+                selector: { type: 'string', minLength: 1 },
+                text: { type: 'string', minLength: 1 },
+                url: { type: 'string', minLength: 1 },
+                role: { type: 'string', minLength: 1 },
+                state: { type: 'string', enum: ['visible', 'hidden'] },
+                timeout: { type: 'number', minimum: 0, maximum: 60000 }
+            },
+            anyOf: [['selector'], ['text'], ['url']]
+        },
+        switch_tab: {
+            description: 'Switch to another tab',
+            properties: {
+                index: { type: 'integer', minimum: 0 },
+                title: { type: 'string', minLength: 1 },
+                url: { type: 'string', minLength: 1 },
+                direction: { type: 'string', enum: ['next', 'previous'] }
+            },
+            anyOf: [['index'], ['title'], ['url'], ['direction']]
+        },
+        new_tab: {
+            description: 'Open a new tab',
+            properties: {
+                url: { type: 'string', minLength: 1 }
+            }
+        },
+        site_action: {
+            description: 'Run a custom action from the site adapter for the current page',
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                params: { type: 'object', additionalProperties: { type: 'string' } }
+            },
+            required: ['name']
+        },
+        close_tab: {
+            description: 'Close the current or a specific tab',
+            properties: {
+                tabId: { type: 'integer', minimum: 0 }
+            }
+        }
+    };
+
+    const RESPONSE_SCHEMA = {
+        properties: {
+            thinking: { type: 'string' },
+            action: { type: 'object' },
+            complete: { type: 'boolean' },
+            message: { type: 'string' }
+        }
+    };
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    function validateValue(value, schema, path, errors) {
+        if (schema.type && !matchesType(value, schema.type)) {
+            errors.push(`${path} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}, got ${typeOf(value)}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+        }
+
+        if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+            errors.push(`${path} must not be empty`);
+        }
+
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+
+        if (schema.minItems !== undefined && Array.isArray(value) && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+        }
+
+        if (schema.items && Array.isArray(value)) {
+            value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+        }
+
+        if (schema.type === 'object' && schema.properties) {
+            for (const name of schema.required || []) {
+                if (value[name] === undefined) {
+                    errors.push(`${path}.${name} is required`);
+                }
+            }
+            for (const [key, child] of Object.entries(value)) {
+                if (!schema.properties[key]) {
+                    errors.push(`${path}.${key} is not allowed, use: ${Object.keys(schema.properties).join(', ')}`);
+                    continue;
+                }
+                validateValue(child, schema.properties[key], `${path}.${key}`, errors);
+            }
+        }
+
+        if (schema.type === 'object' && (schema.propertyNames || schema.additionalProperties)) {
+            for (const [key, child] of Object.entries(value)) {
+                if (schema.propertyNames && !schema.propertyNames.includes(key)) {
+                    errors.push(`${path}.${key} is not a known field, use one of: ${schema.propertyNames.join(', ')}`);
+                    continue;
+                }
+                if (typeof schema.additionalProperties === 'object') {
+                    validateValue(child, schema.additionalProperties, `${path}.${key}`, errors);
+                }
+            }
+        }
+    }
+
+    // Models often pad actions with empty placeholders from the prompt template
+    function stripEmpty(action) {
+        const cleaned = {};
+        for (const [key, value] of Object.entries(action)) {
+            if (value !== null && value !== undefined && value !== '') {
+                cleaned[key] = value;
+            }
+        }
+        return cleaned;
+    }
+
+    function describeAction(type) {
+        const schema = ACTION_SCHEMAS[type];
+        if (!schema) return '';
+
+        const required = schema.required || [];
+        const props = Object.entries(schema.properties).map(([name, prop]) => {
+            const kind = prop.enum ? prop.enum.map(v => JSON.stringify(v)).join('|') :
+                prop.items ? `${prop.items.type}[]` : prop.type;
+            return `${name}: ${kind}${required.includes(name) ? ' (required)' : ''}`;
+        });
+        const oneOf = schema.anyOf ? `; needs one of: ${schema.anyOf.map(set => set.join('+')).join(', ')}` : '';
+
+        return `${type} { ${props.join(', ') || 'no parameters'} }${oneOf}`;
+    }
+
+    function validateAction(rawAction) {
+        if (typeOf(rawAction) !== 'object') {
+            return { valid: false, errors: [`action must be an object, got ${typeOf(rawAction)}`] };
+        }
+
+        const action = stripEmpty(rawAction);
+        const errors = [];
+
+        if (!action.type) {
+            return { valid: false, errors: [`action.type is required, one of: ${Object.keys(ACTION_SCHEMAS).join(', ')}`] };
+        }
+
+        const schema = ACTION_SCHEMAS[action.type];
+        if (!schema) {
+            return {
+                valid: false,
+                errors: [`Unknown action type "${action.type}", use one of: ${Object.keys(ACTION_SCHEMAS).join(', ')}`]
+            };
+        }
+
+        for (const name of schema.required || []) {
+            if (action[name] === undefined) {
+                errors.push(`action.${name} is required for ${action.type}`);
+            }
+        }
+
+        if (schema.anyOf && !schema.anyOf.some(set => set.every(name => action[name] !== undefined))) {
+            errors.push(`${action.type} needs one of: ${schema.anyOf.map(set => set.join('+')).join(', ')}`);
+        }
+
+        for (const [name, value] of Object.entries(action)) {
+            if (name === 'type') continue;
+
+            const propSchema = schema.properties[name];
+            if (!propSchema) {
+                errors.push(`action.${name} is not allowed for ${action.type}`);
+                continue;
+            }
+            validateValue(value, propSchema, `action.${name}`, errors);
+        }
+
+        if (errors.length) {
+            errors.push(`Expected ${describeAction(action.type)}`);
+        }
+
+        return { valid: errors.length === 0, errors, action };
+    }
+
+    // Find every balanced top-level {...} in text, ignoring braces inside strings
+    function scanJsonObjects(text) {
+        const objects = [];
+        let depth = 0;
+        let start = -1;
+        let inString = false;
+        let escaped = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"' && depth > 0) {
+                inString = true;
+            } else if (char === '{') {
+                if (depth === 0) start = i;
+                depth++;
+            } else if (char === '}' && depth > 0) {
+                depth--;
+                if (depth === 0) {
+                    objects.push(text.slice(start, i + 1));
+                }
+            }
+        }
+
+        return objects;
+    }
+
+    function extractJsonCandidates(text) {
+        const fenced = [];
+        const fenceRegex = /```(?:json|javascript|js)?\s*([\s\S]*?)```/gi;
+        let match;
+        while ((match = fenceRegex.exec(text)) !== null) {
+            fenced.push(...scanJsonObjects(match[1]));
+        }
+
+        // Fenced blocks are the model's explicit answer, prefer them
+        if (fenced.length) return fenced;
+        return scanJsonObjects(text);
+    }
+
+    function parseModelResponse(text) {
+        const candidates = extractJsonCandidates(text || '');
+        if (!candidates.length) {
+            return { response: null, errors: [], warnings: [] };
+        }
+
+        const envelopes = [];
+        const parseErrors = [];
+
+        for (const candidate of candidates) {
+            let value;
+            try {
+                value = JSON.parse(candidate);
+            } catch (error) {
+                parseErrors.push(`Invalid JSON (${error.message}): ${candidate.substring(0, 80)}`);
+                continue;
+            }
+
+            if (value.action !== undefined || value.complete !== undefined) {
+                envelopes.push(value);
+            } else if (typeof value.type === 'string') {
+                // Bare action without the {"action": ...} wrapper
+                envelopes.push({ action: value });
+            }
+        }
+
+        if (!envelopes.length) {
+            const errors = parseErrors.length ?
+                parseErrors :
+                ['Response must be a JSON object with an "action" object or "complete": true'];
+            return { response: null, errors, warnings: [] };
+        }
+
+        const warnings = [];
+        if (envelopes.length > 1) {
+            warnings.push(`Received ${envelopes.length} actions, only the first was used`);
+        }
+
+        const response = envelopes[0];
+        const errors = [];
+
+        for (const [name, propSchema] of Object.entries(RESPONSE_SCHEMA.properties)) {
+            if (response[name] !== undefined && name !== 'action') {
+                validateValue(response[name], propSchema, name, errors);
+            }
+        }
+
+        if (response.action !== undefined) {
+            const result = validateAction(response.action);
+            errors.push(...result.errors);
+            if (result.valid) {
+                response.action = result.action;
+            }
+        }
+
+        return { response, errors, warnings };
+    }
+
+    function describeAllActions() {
+        return Object.keys(ACTION_SCHEMAS).map(type => `- ${describeAction(type)}`).join('\n');
+    }
+
+    // Export for the service worker
+    self.ActionSchema = {
+        ACTION_SCHEMAS,
+        validateAction,
+        parseModelResponse,
+        describeAction,
+        describeAllActions
+    };
+})();
@@ -12,6 +12,38 @@
         document.head.appendChild(script);
     }
     
+    // Vault values for the action being executed, keyed by placeholder
+    let activeSecrets = {};
+    
+    // Whether the background drives input through chrome.debugger for this action
+    let trustedInputEnabled = false;
+    
+    // How the current action types text: instant value assignment or one keystroke per character
+    const DEFAULT_TYPING = { mode: 'instant', minDelay: 40, maxDelay: 120 };
+    let typingOptions = DEFAULT_TYPING;
+    
+    // Screenshot the current action's coordinates refer to
+    let activeFrame = null;
+    
+    // Site adapter element aliases for the page: name -> selectors
+    let activeSiteElements = {};
+    
+    // Selector cache entry for the action's locator: { descriptor, fingerprint }
+    let activeCache = null;
+    
+    // A cached element's name must be at least this similar to the locator text (Sign in is not Sign out)
+    const CACHED_NAME_MATCH = 0.6;
+    
+    // Fingerprint of the element the action located, reported back after it succeeds
+    let locatedFingerprint = null;
+    
+    // Ranked candidates from the last text or selector lookup, for error messages
+    let lastResolution = null;
+    
+    // Set-of-marks overlay: mark number -> snapshot id, kept after the badges are removed
+    let markOverlay = null;
+    let marksByNumber = new Map();
+    
     // Visual cursor element
     let virtualCursor = null;
     let currentX = window.innerWidth / 2;
@@ -48,6 +80,7 @@
         
         // Add styles
         const style = document.createElement('style');
+        style.id = 'ai-cursor-style';
         style.textContent = `
             @keyframes click-ripple {
                 from { transform: scale(0); opacity: 1; }
@@ -74,6 +107,19 @@
                 border-radius: 4px;
                 transition: all 0.2s;
             }
+            
+            .mark-badge {
+                position: absolute;
+                top: -2px;
+                left: -2px;
+                min-width: 14px;
+                padding: 1px 3px;
+                background: #667eea;
+                color: white;
+                font: bold 11px/13px monospace;
+                text-align: center;
+                border-radius: 3px;
+            }
         `;
         document.head.appendChild(style);
     }
@@ -108,6 +154,23 @@
         });
     }
     
+    // Ask the background to send real (isTrusted) input; false means use synthetic events
+    async function trustedInput(command) {
+        if (!trustedInputEnabled) return false;
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'TRUSTED_INPUT', data: command });
+            if (response?.success) return true;
+            console.warn('Trusted input failed, falling back to synthetic events:', response?.error);
+        } catch (error) {
+            console.warn('Trusted input failed, falling back to synthetic events:', error.message);
+        }
+        
+        // Don't keep retrying a backend that is not available for the rest of this action
+        trustedInputEnabled = false;
+        return false;
+    }
+    
     // Simulate mouse click at coordinates
     async function clickAt(x, y) {
         await moveCursor(x, y);
@@ -119,57 +182,71 @@
         ripple.style.top = `${y - 15}px`;
         document.body.appendChild(ripple);
         
-        // Get element at coordinates
-        const element = document.elementFromPoint(x, y);
+        // Get element at coordinates, inside shadow roots and same-origin iframes too
+        const element = elementAt(x, y);
+        
+        if (element && await trustedInput({ type: 'click', x, y, button: 'left', clickCount: 1 })) {
+            setTimeout(() => ripple.remove(), 500);
+            return element;
+        }
         
         if (element) {
+            const view = element.ownerDocument.defaultView;
+            const point = window.DomTraversal.toFramePoint(element, x, y);
+            
             // Simulate real mouse events in sequence
             const mouseEvents = [
                 new MouseEvent('mouseover', {
-                    view: window,
+                    view,
                     bubbles: true,
+                    composed: true,
                     cancelable: true,
-                    clientX: x,
-                    clientY: y
+                    clientX: point.x,
+                    clientY: point.y
                 }),
                 new MouseEvent('mouseenter', {
-                    view: window,
+                    view,
                     bubbles: true,
+                    composed: true,
                     cancelable: true,
-                    clientX: x,
-                    clientY: y
+                    clientX: point.x,
+                    clientY: point.y
                 }),
                 new MouseEvent('mousemove', {
-                    view: window,
+                    view,
                     bubbles: true,
+                    composed: true,
                     cancelable: true,
-                    clientX: x,
-                    clientY: y
+                    clientX: point.x,
+                    clientY: point.y
                 }),
                 new MouseEvent('mousedown', {
-                    view: window,
+                    view,
                     bubbles: true,
+                    composed: true,
                     cancelable: true,
-                    clientX: x,
-                    clientY: y,
+                    clientX: point.x,
+                    clientY: point.y,
                     button: 0,
                     buttons: 1
                 }),
                 new MouseEvent('mouseup', {
-                    view: window,
+                    view,
                     bubbles: true,
+                    composed: true,
                     cancelable: true,
-                    clientX: x,
-                    clientY: y,
+                    clientX: point.x,
+                    clientY: point.y,
                     button: 0,
                     buttons: 0
                 }),
                 new MouseEvent('click', {
-                    view: window,
+                    view,
                     bubbles: true,
+                    composed: true,
                     cancelable: true,
-                    clientX: x,
-                    clientY: y,
+                    clientX: point.x,
+                    clientY: point.y,
                     button: 0
                 })
             ];
@@ -191,88 +268,303 @@
         return element;
     }
     
-    // Find element by various methods and return coordinates
-    async function findElementCoordinates(selector) {
-        let element = null;
-        let strategy = '';
+    // Map screenshot pixels to client coordinates. The image is the viewport at
+    // devicePixelRatio (which already includes page zoom); scrolling since the
+    // screenshot shifts the point by the same amount
+    function toClientPoint(x, y, frame) {
+        const viewport = frame?.viewport;
+        const scale = viewport && frame.width ? frame.width / viewport.width : window.devicePixelRatio || 1;
+        const scrollDx = viewport ? viewport.scrollX - window.scrollX : 0;
+        const scrollDy = viewport ? viewport.scrollY - window.scrollY : 0;
         
-        // Strategy 1: Try as CSS selector
-        try {
-            element = document.querySelector(selector);
-            strategy = 'css selector';
-        } catch (e) {}
+        return {
+            x: Math.round(x / scale + scrollDx),
+            y: Math.round(y / scale + scrollDy)
+        };
+    }
+    
+    // Deepest element at a top-level viewport point, through open shadow roots and same-origin iframes
+    function elementAt(x, y) {
+        return window.DomTraversal.elementFromPointDeep(x, y)?.element || null;
+    }
+    
+    function isInViewport(point) {
+        return point.x >= 0 && point.y >= 0 && point.x < window.innerWidth && point.y < window.innerHeight;
+    }
+    
+    // Pointer events first, then the matching mouse event, as a real browser does
+    const POINTER_TYPES = { mousedown: 'pointerdown', mousemove: 'pointermove', mouseup: 'pointerup' };
+    
+    async function dispatchMouseSequence(element, x, y, types, init = {}) {
+        const button = init.button || 0;
+        // Events inside an iframe carry that frame's client coordinates
+        const point = window.DomTraversal.toFramePoint(element, x, y);
         
-        // Strategy 2: Find by visible text
-        if (!element) {
-            const allElements = Array.from(document.querySelectorAll('*'));
-            for (const el of allElements) {
-                const text = el.textContent?.trim();
-                if (text && text.toLowerCase() === selector.toLowerCase()) {
-                    const rect = el.getBoundingClientRect();
-                    if (rect.width > 0 && rect.height > 0 && isVisible(el)) {
-                        element = el;
-                        strategy = 'exact text';
-                        break;
-                    }
-                }
+        for (const type of types) {
+            const pressed = type === 'mousedown' || (type === 'mousemove' && init.dragging);
+            const eventInit = {
+                view: element.ownerDocument.defaultView,
+                bubbles: true,
+                cancelable: true,
+                composed: true,
+                clientX: point.x,
+                clientY: point.y,
+                button,
+                buttons: pressed ? (button === 2 ? 2 : 1) : 0,
+                detail: init.detail || 1
+            };
+            
+            if (POINTER_TYPES[type] && typeof PointerEvent === 'function') {
+                element.dispatchEvent(new PointerEvent(POINTER_TYPES[type], { ...eventInit, pointerId: 1, pointerType: 'mouse', isPrimary: true }));
             }
+            element.dispatchEvent(new MouseEvent(type, eventInit));
+            await sleep(10);
         }
+    }
+    
+    // Trusted input is tried on its own first, so a failed attempt never leaves an extra synthetic click behind
+    async function doubleClickAt(x, y) {
+        await moveCursor(x, y);
         
-        // Strategy 3: Find by partial text in clickable elements
-        if (!element) {
-            const clickables = document.querySelectorAll('button, a, input, textarea, select, [role="button"], [onclick], [tabindex]');
-            for (const el of clickables) {
-                const text = (el.textContent || el.value || el.placeholder || el.getAttribute('aria-label') || '').toLowerCase();
-                if (text.includes(selector.toLowerCase())) {
-                    if (isVisible(el)) {
-                        element = el;
-                        strategy = 'partial text';
-                        break;
-                    }
-                }
-            }
+        const target = elementAt(x, y);
+        if (!target) return null;
+        if (await trustedInput({ type: 'click', x, y, button: 'left', clickCount: 2 })) return target;
+        
+        const element = await clickAt(x, y);
+        if (!element) return null;
+        
+        await dispatchMouseSequence(element, x, y, ['mousedown', 'mouseup', 'click'], { detail: 2 });
+        await dispatchMouseSequence(element, x, y, ['dblclick'], { detail: 2 });
+        return element;
+    }
+    
+    async function rightClickAt(x, y) {
+        await moveCursor(x, y);
+        
+        const element = elementAt(x, y);
+        if (element && !await trustedInput({ type: 'click', x, y, button: 'right', clickCount: 1 })) {
+            await dispatchMouseSequence(element, x, y, ['mouseover', 'mousemove', 'mousedown', 'mouseup', 'contextmenu'], { button: 2 });
         }
+        return element;
+    }
+    
+    async function hoverAt(x, y) {
+        await moveCursor(x, y);
+        
+        const element = elementAt(x, y);
+        if (element && !await trustedInput({ type: 'move', x, y })) {
+            await dispatchMouseSequence(element, x, y, ['mouseover', 'mouseenter', 'mousemove']);
+        }
+        return element;
+    }
+    
+    // Press, move in small steps so drag handlers see motion, release over the target
+    async function dragFromTo(from, to, steps = 10) {
+        await moveCursor(from.x, from.y);
+        
+        const source = elementAt(from.x, from.y);
+        if (!source) return null;
+        
+        if (await trustedInput({ type: 'drag', from, to, steps })) {
+            await moveCursor(to.x, to.y);
+            return { source, target: elementAt(to.x, to.y) || source };
+        }
+        
+        await dispatchMouseSequence(source, from.x, from.y, ['mouseover', 'mousemove', 'mousedown']);
         
-        // Strategy 4: Special handling for common sites
-        if (!element) {
-            const { hostname } = window.location;
+        // Native HTML5 drag and drop ignores synthetic mouse events
+        const draggable = source.closest('[draggable="true"]');
+        const dataTransfer = draggable && typeof DataTransfer === 'function' ? new DataTransfer() : null;
+        if (dataTransfer) {
+            const point = window.DomTraversal.toFramePoint(draggable, from.x, from.y);
+            draggable.dispatchEvent(new DragEvent('dragstart', { bubbles: true, cancelable: true, composed: true, clientX: point.x, clientY: point.y, dataTransfer }));
+        }
+        
+        let target = source;
+        for (let i = 1; i <= steps; i++) {
+            const x = from.x + (to.x - from.x) * i / steps;
+            const y = from.y + (to.y - from.y) * i / steps;
+            await moveCursor(x, y, 30);
             
-            if (hostname.includes('google')) {
-                const searchSelectors = ['input[name="q"]', 'textarea[name="q"]', 'input.gLFyf'];
-                for (const sel of searchSelectors) {
-                    element = document.querySelector(sel);
-                    if (element) {
-                        strategy = 'google search';
-                        break;
-                    }
-                }
-            } else if (hostname.includes('amazon')) {
-                const searchSelectors = ['#twotabsearchtextbox', 'input[name="field-keywords"]'];
-                for (const sel of searchSelectors) {
-                    element = document.querySelector(sel);
-                    if (element) {
-                        strategy = 'amazon search';
-                        break;
-                    }
+            target = elementAt(x, y) || target;
+            await dispatchMouseSequence(target, x, y, ['mousemove'], { dragging: true });
+            if (dataTransfer) {
+                const point = window.DomTraversal.toFramePoint(target, x, y);
+                target.dispatchEvent(new DragEvent('dragover', { bubbles: true, cancelable: true, composed: true, clientX: point.x, clientY: point.y, dataTransfer }));
+            }
+        }
+        
+        if (dataTransfer) {
+            const point = window.DomTraversal.toFramePoint(target, to.x, to.y);
+            target.dispatchEvent(new DragEvent('drop', { bubbles: true, cancelable: true, composed: true, clientX: point.x, clientY: point.y, dataTransfer }));
+            draggable.dispatchEvent(new DragEvent('dragend', { bubbles: true, composed: true, clientX: point.x, clientY: point.y, dataTransfer }));
+        }
+        await dispatchMouseSequence(target, to.x, to.y, ['mouseup']);
+        
+        return { source, target };
+    }
+    
+    // Find element by site adapter alias, then by ranking every candidate a CSS selector or visible text
+    // could mean (searching open shadow roots and same-origin iframes too), then by cached fingerprint
+    function findElement(selector, { role = null, near = null, aliases = {}, cache = null } = {}) {
+        lastResolution = null;
+        
+        // Strategy 1: Named element from the site adapter for this page ("search box", "cart")
+        const aliasSelectors = aliases[selector.trim().replace(/^@/, '').toLowerCase()] || [];
+        for (const aliasSelector of aliasSelectors) {
+            try {
+                const element = window.DomTraversal.querySelectorDeep(aliasSelector);
+                if (element) {
+                    console.log(`✅ Found element using site alias "${selector}"`);
+                    return rememberLocated(element, cache);
                 }
+            } catch (error) {
+                console.warn('Invalid site adapter selector:', aliasSelector);
             }
         }
         
-        if (!element) {
-            console.log('❌ Element not found:', selector);
+        // Strategies 2-4: CSS selector, accessible name and visible text, scored together
+        lastResolution = window.ElementResolver.resolve(selector, { role, near });
+        if (lastResolution.element) {
+            console.log(`✅ Found element using ${lastResolution.bySelector ? 'css selector' : 'ranked text'} (confidence ${lastResolution.confidence})`);
+            return rememberLocated(lastResolution.element, cache);
+        }
+        
+        if (lastResolution.ambiguous) {
+            console.log('⚖️ Ambiguous locator:', selector, lastResolution.candidates);
             return null;
         }
         
-        console.log(`✅ Found element using ${strategy}`);
+        // Strategy 5: The element this locator resolved to on an earlier visit, healed if the page changed
+        const cached = cache?.fingerprint ? window.ElementFingerprint.find(cache.fingerprint) : null;
+        if (cached && matchesLocator(cached.element, selector, cache.fingerprint)) {
+            console.log(`✅ Found element using cached fingerprint (match ${cached.score}${cached.healed ? ', healed' : ''})`);
+            return rememberLocated(cached.element, cache, cached.healed);
+        }
+        
+        console.log('❌ Element not found:', selector);
+        return null;
+    }
+    
+    // A cached match must still be what the locator asks for: the name it had when cached, and
+    // the selector or text itself unless that CSS selector no longer matches anything on the page
+    function matchesLocator(element, selector, fingerprint) {
+        const name = window.PageSnapshot.nameOf(element).replace(/\s+/g, ' ').trim();
+        if (fingerprint.text && window.ElementResolver.similarity(fingerprint.text, name) < CACHED_NAME_MATCH) return false;
+        
+        let isCss = true;
+        try {
+            if (element.matches(selector)) return true;
+        } catch (error) {
+            isCss = false;
+        }
+        if (window.ElementResolver.similarity(selector, name) >= CACHED_NAME_MATCH) return true;
+        
+        return isCss && !window.DomTraversal.querySelectorDeep(selector);
+    }
+    
+    // Fingerprint the element now, before the action changes the page; sent back on success
+    function rememberLocated(element, cache, healed = false) {
+        if (cache?.descriptor) {
+            locatedFingerprint = {
+                descriptor: cache.descriptor,
+                fingerprint: window.ElementFingerprint.capture(element),
+                healed
+            };
+        }
+        return element;
+    }
+    
+    // Number every visible interactive element with a badge for the next screenshot
+    async function showMarks() {
+        if (!window.PageSnapshot) return 0;
+        if (!virtualCursor) initCursor();
+        hideMarks();
+        
+        markOverlay = document.createElement('div');
+        markOverlay.id = 'ai-marks';
+        marksByNumber = new Map();
+        
+        const nodes = window.PageSnapshot.capture().filter(node => !node.states.includes('offscreen'));
+        nodes.forEach((node, index) => {
+            const number = index + 1;
+            marksByNumber.set(number, node.id);
+            
+            const box = document.createElement('div');
+            box.className = 'highlight-box';
+            box.style.cssText = `left: ${node.box.x}px; top: ${node.box.y}px; width: ${node.box.width}px; height: ${node.box.height}px; transition: none;`;
+            
+            const badge = document.createElement('span');
+            badge.className = 'mark-badge';
+            badge.textContent = number;
+            box.appendChild(badge);
+            markOverlay.appendChild(box);
+        });
+        
+        document.body.appendChild(markOverlay);
+        
+        // Let the badges paint before the background captures the tab
+        await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+        return nodes.length;
+    }
+    
+    function hideMarks() {
+        markOverlay?.remove();
+        markOverlay = null;
+    }
+    
+    // Snapshot ids from the page snapshot win over marks and selectors
+    function locateElement(action, frame = activeFrame, aliases = activeSiteElements, cache = activeCache) {
+        if (action.mark !== undefined) {
+            const ref = marksByNumber.get(action.mark);
+            const element = ref ? window.PageSnapshot?.resolve(ref) : null;
+            if (!element) console.log('❌ Unknown or stale mark:', action.mark);
+            return element || null;
+        }
+        if (action.ref) {
+            const element = window.PageSnapshot?.resolve(action.ref) || null;
+            if (!element) console.log('❌ Element ref is stale or unknown:', action.ref);
+            return element;
+        }
+        if (!action.selector) return null;
+        
+        // The "near" hint is in screenshot pixels, like click_at
+        const near = action.near ? toClientPoint(action.near.x, action.near.y, frame) : null;
+        return findElement(action.selector, { role: action.role || null, near, aliases, cache });
+    }
+    
+    function describeLocator(action) {
+        if (action.mark !== undefined) {
+            return `mark ${action.mark} (not on the latest screenshot, use a number shown there)`;
+        }
+        if (action.ref) {
+            return `${action.ref} (no longer on the page, use an id from the latest snapshot)`;
+        }
         
-        // Get element coordinates
-        const rect = element.getBoundingClientRect();
+        // Tell the model what the selector could have meant instead of guessing
+        const candidates = lastResolution?.candidates.length ? window.ElementResolver.format(lastResolution.candidates) : '';
+        if (lastResolution?.ambiguous) {
+            return `"${action.selector}" matches several elements about equally, retry with one of these refs or add a "role" or "near" hint:\n${candidates}`;
+        }
+        if (candidates) {
+            return `"${action.selector}" has no confident match (best ${lastResolution.confidence}), closest candidates:\n${candidates}`;
+        }
+        return action.selector;
+    }
+    
+    // Find element and return its center coordinates, scrolling it into view
+    async function findElementCoordinates(action) {
+        const element = locateElement(action);
+        if (!element) return null;
+        
+        // Get element coordinates in the top-level viewport
+        const rect = window.DomTraversal.getViewportRect(element);
         
         // Ensure element is in viewport
         if (rect.top < 0 || rect.bottom > window.innerHeight) {
             element.scrollIntoView({ behavior: 'smooth', block: 'center' });
             await sleep(500);
-            const newRect = element.getBoundingClientRect();
+            const newRect = window.DomTraversal.getViewportRect(element);
             return {
                 x: newRect.left + newRect.width / 2,
                 y: newRect.top + newRect.height / 2,
@@ -289,14 +581,20 @@
     
     // Improved typing with direct value assignment
     async function simulateTyping(text, fieldType = null) {
-        const activeElement = document.activeElement;
+        const activeElement = window.DomTraversal.deepActiveElement();
+        
+        // Gmail compose, Notion, Slack and other rich editors are contenteditable hosts
+        const editableHost = window.FormIntelligence?.findEditableHost(activeElement);
+        if (editableHost) {
+            return typeIntoEditable(editableHost, text);
+        }
         
         if (!activeElement || (activeElement.tagName !== 'INPUT' && activeElement.tagName !== 'TEXTAREA' && activeElement.tagName !== 'SELECT')) {
             console.error('No input element focused');
             return false;
         }
         
-        console.log(`Typing "${text}" into ${activeElement.name || activeElement.id || 'field'}`);
+        console.log(`Typing "${redactSecrets(text)}" into ${activeElement.name || activeElement.id || 'field'}`);
         
         // Clear and set value directly for reliability
         activeElement.focus();
@@ -318,6 +616,26 @@
             return false;
         }
         
+        if (typingOptions.mode === 'keystrokes' && isTextField(activeElement)) {
+            const typed = await typeCharByChar(text);
+            console.log('✅ Value set:', redactSecrets(activeElement.value));
+            return typed;
+        }
+        
+        // Real text input replaces the selected value (or adds at the end) the way a user's typing would
+        if (trustedInputEnabled) {
+            activeElement.select?.();
+            if (typingOptions.append) {
+                moveCaretToEnd(activeElement);
+            }
+            if (await trustedInput({ type: 'insertText', text })) {
+                console.log('✅ Value set:', redactSecrets(activeElement.value));
+                return true;
+            }
+        }
+        
+        const value = typingOptions.append ? activeElement.value + text : text;
+        
         // Clear the field
         activeElement.value = '';
         
@@ -325,7 +643,7 @@
         await sleep(50);
         
         // Set the value directly - most reliable method
-        activeElement.value = text;
+        activeElement.value = value;
         
         // Trigger React/Vue/Angular events
         const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
@@ -334,7 +652,7 @@
         ).set;
         
         if (nativeInputValueSetter) {
-            nativeInputValueSetter.call(activeElement, text);
+            nativeInputValueSetter.call(activeElement, value);
         }
         
         // Dispatch all necessary events
@@ -352,32 +670,57 @@
             tracker.setValue('');
         }
         
-        console.log('✅ Value set:', activeElement.value);
+        console.log('✅ Value set:', redactSecrets(activeElement.value));
         return true;
     }
     
-    // Alternative typing method - single character at a time but more reliable
+    // Per-character typing: keydown, keypress, beforeinput, input and keyup for every
+    // character with human-like pauses, so autocomplete and key handlers respond
     async function typeCharByChar(text) {
-        const activeElement = document.activeElement;
+        const activeElement = window.DomTraversal.deepActiveElement();
+        const editableHost = window.FormIntelligence?.findEditableHost(activeElement);
         
-        if (!activeElement || (activeElement.tagName !== 'INPUT' && activeElement.tagName !== 'TEXTAREA')) {
+        if ((!isTextField(activeElement) && !editableHost) || !window.Keyboard) {
             return false;
         }
         
-        // Clear the field
-        activeElement.value = '';
+        // Replace the current value, like selecting all and typing over it, or continue at the end
+        if (editableHost) {
+            window.FormIntelligence.selectForEditing(editableHost, typingOptions.append ? 'append' : 'replace');
+            if (!typingOptions.append && editableHost.textContent) {
+                editableHost.ownerDocument.execCommand('delete');
+            }
+        } else if (typingOptions.append) {
+            moveCaretToEnd(activeElement);
+        } else {
+            setNativeValue(activeElement, '');
+            activeElement.dispatchEvent(new InputEvent('input', { inputType: 'deleteContentBackward', bubbles: true, composed: true }));
+        }
+        
+        // Single-line fields drop line breaks, as they do for pasted text
+        const chars = activeElement.tagName === 'INPUT' ? text.replace(/[\r\n]+/g, ' ') : text;
         
-        // Build the text gradually
-        let currentText = '';
-        for (const char of text) {
-            currentText += char;
-            activeElement.value = currentText;
+        for (const char of chars) {
+            const key = window.Keyboard.describeChar(char);
+            const sent = await trustedInput({
+                type: 'key',
+                key: key.key,
+                code: key.code,
+                keyCode: key.keyCode,
+                text: key.text,
+                modifiers: key.shift ? window.Keyboard.MODIFIERS.Shift.bit : 0
+            });
             
-            // Dispatch input event for each character
-            activeElement.dispatchEvent(new Event('input', { bubbles: true }));
+            if (!sent) {
+                const flags = { shiftKey: key.shift };
+                if (activeElement.dispatchEvent(keyEvent('keydown', key, flags)) &&
+                    activeElement.dispatchEvent(keyEvent('keypress', key, flags))) {
+                    editField(activeElement, char === '\n' ? '\n' : char, char === '\n' ? 'insertLineBreak' : 'insertText');
+                }
+                activeElement.dispatchEvent(keyEvent('keyup', key, flags));
+            }
             
-            // Small delay for visual effect
-            await sleep(30);
+            await sleep(keyDelay());
         }
         
         // Final change event
@@ -386,9 +729,190 @@
         return true;
     }
     
+    // Rich editors get the editor-aware insertion from FormIntelligence, or keystrokes
+    async function typeIntoEditable(host, text) {
+        console.log(`Typing "${redactSecrets(text)}" into ${window.FormIntelligence.detectEditor(host)} editor`);
+        
+        if (typingOptions.mode === 'keystrokes') {
+            host.focus();
+            return typeCharByChar(text);
+        }
+        
+        const result = await window.FormIntelligence.insertIntoEditable(host, text, {
+            mode: typingOptions.append ? 'append' : 'replace',
+            insert: trustedInputEnabled ? value => trustedInput({ type: 'insertText', text: value }) : null
+        });
+        console.log(`${result.success ? '✅' : '❌'} ${result.editor} via ${result.method}`);
+        return result.success;
+    }
+    
+    function moveCaretToEnd(field) {
+        try {
+            field.setSelectionRange(field.value.length, field.value.length);
+        } catch (error) {
+            // email and number inputs have no selection API; typing lands at the end anyway
+        }
+    }
+    
+    function isTextField(element) {
+        if (!element) return false;
+        if (element.tagName === 'TEXTAREA') return true;
+        return element.tagName === 'INPUT' &&
+            ['text', 'search', 'url', 'tel', 'password', 'email', 'number'].includes(element.type || 'text');
+    }
+    
+    // Assign through the prototype setter so React's value tracker notices
+    function setNativeValue(field, value) {
+        const prototype = field.tagName === 'TEXTAREA' ? window.HTMLTextAreaElement.prototype : window.HTMLInputElement.prototype;
+        Object.getOwnPropertyDescriptor(prototype, 'value').set.call(field, value);
+    }
+    
+    // Apply one edit at the caret the way the browser does after an uncancelled beforeinput
+    function editField(field, text, inputType) {
+        // In rich editors the browser's own editing commands fire beforeinput and input for us
+        if (field.isContentEditable) {
+            const commands = {
+                insertText: 'insertText',
+                insertLineBreak: 'insertParagraph',
+                deleteContentBackward: 'delete',
+                deleteContentForward: 'forwardDelete'
+            };
+            return field.ownerDocument.execCommand(commands[inputType], false, text);
+        }
+        
+        const beforeInput = new InputEvent('beforeinput', { inputType, data: text || null, bubbles: true, cancelable: true, composed: true });
+        if (!field.dispatchEvent(beforeInput)) return false;
+        
+        try {
+            let start = field.selectionStart;
+            let end = field.selectionEnd;
+            if (start === end && inputType === 'deleteContentBackward') start = Math.max(0, start - 1);
+            if (start === end && inputType === 'deleteContentForward') end = Math.min(field.value.length, end + 1);
+            field.setRangeText(text, start, end, 'end');
+        } catch (error) {
+            // email and number inputs have no selection API, edit at the end
+            setNativeValue(field, inputType.startsWith('delete') ? field.value.slice(0, -1) : field.value + text);
+        }
+        
+        field.dispatchEvent(new InputEvent('input', { inputType, data: text || null, bubbles: true, composed: true }));
+        return true;
+    }
+    
+    function keyDelay() {
+        const { minDelay, maxDelay } = typingOptions;
+        return minDelay + Math.random() * Math.max(0, maxDelay - minDelay);
+    }
+    
+    function keyEvent(type, key, flags = {}) {
+        return new KeyboardEvent(type, {
+            key: key.key,
+            code: key.code,
+            keyCode: key.keyCode,
+            which: key.keyCode,
+            charCode: type === 'keypress' ? (key.text || key.key).charCodeAt(0) : 0,
+            bubbles: true,
+            cancelable: true,
+            composed: true,
+            view: window,
+            ...flags
+        });
+    }
+    
+    // Press one chord on the focused element: modifiers down, the key, modifiers up
+    async function pressChord(chord) {
+        const sent = await trustedInput({
+            type: 'key',
+            key: chord.key,
+            code: chord.code,
+            keyCode: chord.keyCode,
+            text: chord.text,
+            modifiers: chord.modifierMask
+        });
+        if (sent) return;
+        
+        const { MODIFIERS, modifierFlags } = window.Keyboard;
+        const target = window.DomTraversal.deepActiveElement() || document.body;
+        const held = [];
+        
+        for (const name of chord.modifiers) {
+            held.push(name);
+            target.dispatchEvent(keyEvent('keydown', { key: name, ...MODIFIERS[name] }, modifierFlags(held)));
+        }
+        
+        const flags = modifierFlags(chord.modifiers);
+        const proceed = target.dispatchEvent(keyEvent('keydown', chord, flags)) &&
+            (!chord.text || target.dispatchEvent(keyEvent('keypress', chord, flags)));
+        if (proceed) {
+            applyKeyDefault(target, chord);
+        }
+        target.dispatchEvent(keyEvent('keyup', chord, flags));
+        
+        for (const name of [...chord.modifiers].reverse()) {
+            held.pop();
+            target.dispatchEvent(keyEvent('keyup', { key: name, ...MODIFIERS[name] }, modifierFlags(held)));
+        }
+    }
+    
+    // Synthetic key events have no default action, so perform the common ones ourselves
+    function applyKeyDefault(target, chord) {
+        const editable = isTextField(target) || target.isContentEditable;
+        const command = chord.modifiers.includes('Control') || chord.modifiers.includes('Meta');
+        
+        if (command && chord.key === 'a') {
+            if (isTextField(target)) {
+                target.select();
+            } else {
+                target.ownerDocument.execCommand('selectAll');
+            }
+            return;
+        }
+        if (chord.modifiers.some(name => name !== 'Shift')) return;
+        
+        switch (chord.key) {
+            case 'Tab':
+                moveFocus(target, chord.modifiers.includes('Shift') ? -1 : 1);
+                break;
+            case 'Backspace':
+            case 'Delete':
+                if (editable) editField(target, '', chord.key === 'Backspace' ? 'deleteContentBackward' : 'deleteContentForward');
+                break;
+            case ' ':
+                if (editable) {
+                    editField(target, ' ', 'insertText');
+                } else if (target.matches('button, summary, input[type="checkbox"], input[type="radio"], [role="button"], [role="checkbox"]')) {
+                    target.click();
+                }
+                break;
+            default:
+                if (editable && chord.text && chord.key !== 'Enter') {
+                    editField(target, chord.text, 'insertText');
+                }
+        }
+    }
+    
+    function moveFocus(from, direction) {
+        const focusables = window.DomTraversal.querySelectorAllDeep('a[href], button, input, select, textarea, [tabindex], [contenteditable="true"]')
+            .filter(el => el.tabIndex >= 0 && !el.disabled && el.getClientRects().length > 0);
+        if (!focusables.length) return;
+        
+        const index = focusables.indexOf(from);
+        const next = index === -1 ?
+            focusables[direction > 0 ? 0 : focusables.length - 1] :
+            focusables[(index + direction + focusables.length) % focusables.length];
+        next.focus();
+    }
+    
+    function describeFocus() {
+        const element = window.DomTraversal.deepActiveElement();
+        if (!element || element === element.ownerDocument.body) return null;
+        return element.getAttribute('aria-label') || element.name || element.id || element.tagName.toLowerCase();
+    }
+    
     // Press Enter key
     async function pressEnter() {
-        const activeElement = document.activeElement;
+        if (await trustedInput({ type: 'key', key: 'Enter', code: 'Enter', keyCode: 13, text: '\r' })) return;
+        
+        const activeElement = window.DomTraversal.deepActiveElement();
         
         const events = [
             new KeyboardEvent('keydown', {
@@ -468,20 +992,112 @@
         }, 1000);
     }
     
-    // Helper functions
-    function isVisible(element) {
-        const rect = element.getBoundingClientRect();
-        const style = window.getComputedStyle(element);
+    // Describe what an action would touch so the background can apply its policy
+    function describeTarget(action, frame = null, siteElements = {}, cache = null) {
+        let element = null;
+        if (action.type === 'press_enter' || (action.type === 'press_keys' && !action.ref && action.mark === undefined && !action.selector)) {
+            element = window.DomTraversal.deepActiveElement();
+        } else if (action.x !== undefined) {
+            const point = toClientPoint(action.x, action.y, frame);
+            element = isInViewport(point) ? elementAt(point.x, point.y) : null;
+            // Clicks on an icon inside a button act on the button
+            element = element?.closest('button, a, input, [role="button"]') || element;
+        } else {
+            element = locateElement(action, frame, siteElements || {}, cache);
+        }
+        
+        if (!element || element === element.ownerDocument.body) {
+            return null;
+        }
+        
+        const form = element.form || element.closest('form');
+        const isSubmit = (element.tagName === 'BUTTON' && (element.type || 'submit') === 'submit' && Boolean(form)) ||
+            (element.tagName === 'INPUT' && (element.type === 'submit' || element.type === 'image'));
+        const isSearch = element.type === 'search' || element.name === 'q' ||
+            Boolean(element.closest('[role="search"]')) ||
+            Boolean(element.placeholder?.toLowerCase().includes('search'));
         
-        return rect.width > 0 && 
-               rect.height > 0 && 
-               style.display !== 'none' && 
-               style.visibility !== 'hidden' &&
-               style.opacity !== '0' &&
-               rect.top < window.innerHeight &&
-               rect.bottom > 0;
+        return {
+            tag: element.tagName.toLowerCase(),
+            type: element.type || null,
+            text: (element.innerText || element.textContent || '').trim().substring(0, 100),
+            ariaLabel: element.getAttribute('aria-label'),
+            value: element.tagName === 'INPUT' && isSubmit ? element.value : null,
+            inForm: Boolean(form),
+            isSubmit,
+            isSearch,
+            formAction: form?.getAttribute('action') || null
+        };
+    }
+    
+    // wait_for: every locator and text is on the page, or with state "hidden" none of them is.
+    // A locator matching several elements still counts as present
+    function isConditionMet(condition, aliases) {
+        const present = [];
+        if (condition.selector) {
+            const element = findElement(condition.selector, { role: condition.role || null, aliases });
+            present.push(Boolean(element) || Boolean(lastResolution?.ambiguous));
+        }
+        if (condition.text) {
+            present.push(pageContainsText(condition.text));
+        }
+        return condition.state === 'hidden' ? present.every(found => !found) : present.every(Boolean);
+    }
+    
+    function pageContainsText(text) {
+        const wanted = text.replace(/\s+/g, ' ').trim().toLowerCase();
+        return window.DomTraversal.collectRoots(document).some(root => {
+            const content = root.body ? root.body.innerText : root.textContent;
+            return (content || '').replace(/\s+/g, ' ').toLowerCase().includes(wanted);
+        });
     }
     
+    // All page text, including hidden text where injected instructions like to hide
+    function getPageText(maxLength = 50000) {
+        if (!document.body) return '';
+        
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                const tag = node.parentElement?.tagName;
+                return tag === 'SCRIPT' || tag === 'STYLE' || tag === 'NOSCRIPT' ?
+                    NodeFilter.FILTER_REJECT :
+                    NodeFilter.FILTER_ACCEPT;
+            }
+        });
+        
+        const parts = [];
+        let length = 0;
+        while (walker.nextNode() && length < maxLength) {
+            const text = walker.currentNode.textContent.trim();
+            if (text) {
+                parts.push(text);
+                length += text.length + 1;
+            }
+        }
+        
+        // Attribute text is read by the model through screenshots and accessibility too
+        for (const el of document.querySelectorAll('[aria-label], [title], img[alt]')) {
+            if (length >= maxLength) break;
+            const text = [el.getAttribute('aria-label'), el.getAttribute('title'), el.getAttribute('alt')]
+                .filter(Boolean).join(' ');
+            parts.push(text);
+            length += text.length + 1;
+        }
+        
+        return parts.join('\n').substring(0, maxLength);
+    }
+    
+    // Same scope rules as the background, read straight from storage
+    async function checkNavigationScope(url) {
+        if (!window.UrlScope) {
+            return { allowed: false, reason: 'URL scope rules are not loaded' };
+        }
+        
+        const { urlScope } = await chrome.storage.local.get('urlScope');
+        return window.UrlScope.checkUrl(url, window.UrlScope.resolveScope(urlScope), window.location.href);
+    }
+    
+    // Helper functions
     function easeInOutCubic(t) {
         return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
     }
@@ -506,10 +1122,84 @@
                     break;
                     
                 case 'EXECUTE_ACTION':
-                    const result = await executeAction(request.data);
+                    const result = await executeAction(request.data, request.secrets, request.frame, request.trustedInput, request.typing, request.siteElements, request.cache);
+                    if (result.success && locatedFingerprint) {
+                        result.fingerprint = locatedFingerprint;
+                    }
                     sendResponse(result);
                     break;
                     
+                case 'DESCRIBE_TARGET':
+                    sendResponse({ success: true, target: describeTarget(request.data, request.frame, request.siteElements, request.cache) });
+                    break;
+                    
+                case 'GET_SNAPSHOT': {
+                    if (!window.PageSnapshot) {
+                        sendResponse({ success: false, error: 'Page snapshot is not loaded' });
+                        break;
+                    }
+                    const nodes = window.PageSnapshot.capture(request.data?.maxNodes);
+                    const marks = new Map([...marksByNumber].map(([number, ref]) => [ref, number]));
+                    sendResponse({ success: true, count: nodes.length, snapshot: window.PageSnapshot.format(nodes, marks) });
+                    break;
+                }
+                    
+                case 'SHOW_MARKS':
+                    sendResponse({ success: true, count: await showMarks() });
+                    break;
+                    
+                case 'HIDE_MARKS':
+                    hideMarks();
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'GET_VIEWPORT':
+                    sendResponse({
+                        success: true,
+                        viewport: {
+                            width: window.innerWidth,
+                            height: window.innerHeight,
+                            scrollX: window.scrollX,
+                            scrollY: window.scrollY,
+                            devicePixelRatio: window.devicePixelRatio
+                        }
+                    });
+                    break;
+                    
+                case 'START_RECORDING':
+                    // Steps go straight to the background, which keeps them across page loads
+                    window.ActionRecorder.start(recorded => {
+                        chrome.runtime.sendMessage({ action: 'RECORDED_ACTION', data: recorded }).catch(() => {});
+                    });
+                    sendResponse({ success: true });
+                    break;
+                    
+                case 'STOP_RECORDING':
+                    sendResponse({ success: true, flushed: window.ActionRecorder.stop() });
+                    break;
+                    
+                case 'GET_PAGE_STATE':
+                    sendResponse({ success: true, state: window.PageActivity.captureState() });
+                    break;
+                    
+                case 'WAIT_FOR_STABLE':
+                    sendResponse({ success: true, ...await window.PageActivity.waitForStable(request.data) });
+                    break;
+                    
+                case 'WAIT_FOR_CONDITION': {
+                    const condition = request.data;
+                    const met = await window.PageActivity.waitUntil(
+                        () => isConditionMet(condition, request.siteElements || {}),
+                        request.timeout
+                    );
+                    sendResponse({ success: true, met });
+                    break;
+                }
+                    
+                case 'GET_PAGE_TEXT':
+                    sendResponse({ success: true, text: getPageText(request.data?.maxLength) });
+                    break;
+                    
                 case 'GET_PAGE_INFO':
                     sendResponse({
                         url: window.location.href,
@@ -527,52 +1217,67 @@
         }
     }
     
-    async function executeAction(action) {
+    async function executeAction(action, secrets = null, frame = null, useTrustedInput = false, typing = null, siteElements = null, cache = null) {
         console.log('Executing:', action);
         
         if (!virtualCursor) initCursor();
+        activeSecrets = secrets || {};
+        trustedInputEnabled = Boolean(useTrustedInput);
+        activeFrame = frame;
+        activeSiteElements = siteElements || {};
+        activeCache = cache;
+        locatedFingerprint = null;
+        typingOptions = { ...DEFAULT_TYPING, ...typing, append: action.mode === 'append' };
+        if (action.typing) typingOptions.mode = action.typing;
         
         try {
             switch (action.type) {
-                case 'navigate':
+                case 'navigate': {
+                    const scope = await checkNavigationScope(action.url);
+                    if (!scope.allowed) {
+                        return { success: false, blocked: true, error: `Navigation blocked: ${scope.reason}` };
+                    }
                     window.location.href = action.url;
                     return { success: true };
+                }
                     
                 case 'click':
-                    const coords = await findElementCoordinates(action.selector);
+                    const coords = await findElementCoordinates(action);
                     if (coords) {
                         await clickAt(coords.x, coords.y);
                         return { success: true, clicked: coords.element.tagName };
                     }
-                    return { success: false, error: 'Element not found: ' + action.selector };
+                    return { success: false, error: 'Element not found: ' + describeLocator(action) };
                     
                 case 'type':
                     // Smart field detection if field type is provided
                     if (action.fieldType && window.FormIntelligence) {
                         const field = window.FormIntelligence.findFieldByType(action.fieldType);
                         if (field) {
-                            const rect = field.getBoundingClientRect();
+                            const rect = window.DomTraversal.getViewportRect(field);
                             await clickAt(rect.left + rect.width / 2, rect.top + rect.height / 2);
                             await sleep(200);
-                            const success = await simulateTyping(action.text, action.fieldType);
+                            const success = await simulateTyping(fillSecrets(action.text), action.fieldType);
                             return { success, field: action.fieldType };
                         }
                     }
                     
-                    // Regular typing with selector
-                    if (action.selector) {
-                        const inputCoords = await findElementCoordinates(action.selector);
+                    // Regular typing with selector, snapshot ref or mark
+                    if (action.ref || action.mark !== undefined || action.selector) {
+                        const inputCoords = await findElementCoordinates(action);
                         if (inputCoords) {
                             await clickAt(inputCoords.x, inputCoords.y);
                             await sleep(200);
+                        } else if (action.ref || action.mark !== undefined) {
+                            return { success: false, error: 'Element not found: ' + describeLocator(action) };
                         }
                     }
                     
                     // Type the text
-                    const typed = await simulateTyping(action.text);
+                    const typed = await simulateTyping(fillSecrets(action.text));
                     if (typed) {
                         // Auto-submit for search fields
-                        const activeEl = document.activeElement;
+                        const activeEl = window.DomTraversal.deepActiveElement();
                         if (activeEl && (activeEl.type === 'search' || activeEl.name === 'q' || activeEl.placeholder?.toLowerCase().includes('search'))) {
                             await sleep(300);
                             await pressEnter();
@@ -581,10 +1286,69 @@
                     }
                     return { success: false, error: 'Failed to type text' };
                     
+                case 'click_at':
+                case 'double_click':
+                case 'right_click':
+                case 'hover_at': {
+                    const point = toClientPoint(action.x, action.y, frame);
+                    if (!isInViewport(point)) {
+                        return { success: false, error: `Point (${action.x}, ${action.y}) is outside the visible page` };
+                    }
+                    
+                    const handlers = { click_at: clickAt, double_click: doubleClickAt, right_click: rightClickAt, hover_at: hoverAt };
+                    const element = await handlers[action.type](point.x, point.y);
+                    if (!element) {
+                        return { success: false, error: `Nothing at (${action.x}, ${action.y})` };
+                    }
+                    return { success: true, target: element.tagName, clientX: point.x, clientY: point.y };
+                }
+                    
+                case 'drag': {
+                    const from = toClientPoint(action.x, action.y, frame);
+                    const to = toClientPoint(action.toX, action.toY, frame);
+                    if (!isInViewport(from) || !isInViewport(to)) {
+                        return { success: false, error: 'Drag start and end must both be on the visible page' };
+                    }
+                    
+                    const dragged = await dragFromTo(from, to);
+                    if (!dragged) {
+                        return { success: false, error: `Nothing to drag at (${action.x}, ${action.y})` };
+                    }
+                    return { success: true, source: dragged.source.tagName, target: dragged.target.tagName };
+                }
+                    
                 case 'press_enter':
                     await pressEnter();
                     return { success: true };
                     
+                case 'press_keys': {
+                    if (!window.Keyboard) {
+                        return { success: false, error: 'Keyboard support is not loaded' };
+                    }
+                    
+                    // Parse everything first so a typo does not leave half a sequence pressed
+                    const chords = action.keys.map(keys => window.Keyboard.parseChord(keys));
+                    
+                    if (action.ref || action.mark !== undefined || action.selector) {
+                        const focusCoords = await findElementCoordinates(action);
+                        if (!focusCoords) {
+                            return { success: false, error: 'Element not found: ' + describeLocator(action) };
+                        }
+                        await clickAt(focusCoords.x, focusCoords.y);
+                        await sleep(200);
+                    }
+                    
+                    for (const chord of chords) {
+                        if (chord.key === 'Enter' && !chord.modifiers.length) {
+                            await pressEnter();
+                        } else {
+                            await pressChord(chord);
+                        }
+                        await sleep(keyDelay());
+                    }
+                    return { success: true, pressed: action.keys.length, focused: describeFocus() };
+                }
+                    
                 case 'scroll':
                     const scrollAmount = action.direction === 'up' ? -500 : 500;
                     window.scrollBy({
@@ -598,28 +1362,34 @@
                     return { success: true };
                     
                 case 'hover':
-                    const hoverCoords = await findElementCoordinates(action.selector);
+                    const hoverCoords = await findElementCoordinates(action);
                     if (hoverCoords) {
                         await moveCursor(hoverCoords.x, hoverCoords.y);
                         return { success: true };
                     }
-                    return { success: false, error: 'Element not found' };
+                    return { success: false, error: 'Element not found: ' + describeLocator(action) };
                     
-                case 'fill_form':
+                case 'fill_form': {
                     // Smart form filling with field detection
                     if (!window.FormIntelligence) {
                         return { success: false, error: 'Form Intelligence not loaded' };
                     }
                     
-                    const result = await window.FormIntelligence.fillForm(action.data);
+                    const formData = {};
+                    for (const [field, value] of Object.entries(action.data)) {
+                        formData[field] = fillSecrets(value);
+                    }
+                    
+                    const result = await window.FormIntelligence.fillForm(formData);
                     if (result.success) {
                         return { 
                             success: true, 
-                            filledFields: result.filledFields,
+                            filledFields: result.filledFields.map(f => ({ ...f, value: redactSecrets(f.value) })),
                             message: `Filled ${result.filledFields.length} fields`
                         };
                     }
                     return { success: false, error: result.error };
+                }
                     
                 case 'analyze_form':
                     // Analyze current form and return field types
@@ -627,7 +1397,7 @@
                         return { success: false, error: 'Form Intelligence not loaded' };
                     }
                     
-                    const forms = document.querySelectorAll('form');
+                    const forms = window.DomTraversal.querySelectorAllDeep('form');
                     const analysis = [];
                     
                     for (const form of forms) {
@@ -652,8 +1422,40 @@
                     return { success: false, error: 'Unknown action type: ' + action.type };
             }
         } catch (error) {
-            return { success: false, error: error.message };
+            return { success: false, error: redactSecrets(error.message) };
+        } finally {
+            activeSecrets = {};
+            trustedInputEnabled = false;
+            activeFrame = null;
+            activeSiteElements = {};
+            activeCache = null;
+            lastResolution = null;
+            typingOptions = DEFAULT_TYPING;
+        }
+    }
+    
+    // Swap vault placeholders for real values right before typing
+    function fillSecrets(text) {
+        if (typeof text !== 'string') return text;
+        
+        let filled = text;
+        for (const [placeholder, value] of Object.entries(activeSecrets)) {
+            filled = filled.split(placeholder).join(value);
+        }
+        return filled;
+    }
+    
+    // Put placeholders back wherever a real value would be logged or reported
+    function redactSecrets(text) {
+        if (typeof text !== 'string') return text;
+        
+        let redacted = text;
+        for (const [placeholder, value] of Object.entries(activeSecrets)) {
+            if (value) {
+                redacted = redacted.split(value).join(placeholder);
+            }
         }
+        return redacted;
     }
     
     console.log('✅ Coordinate Controller ready');
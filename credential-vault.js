@@ -0,0 +1,298 @@
+// Credential Vault - Encrypted per-site secrets referenced by placeholders
+// The model only ever sees {{vault.<site>.<field>}}; real values are filled in at typing time
+
+(function() {
+    const PLACEHOLDER_PATTERN = /\{\{\s*vault\.([\w-]+)\.(username|password|totp)\s*\}\}/g;
+    const PBKDF2_ITERATIONS = 310000;
+    const REDACTED = '••••••';
+
+    function toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    function base32Decode(seed) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        const clean = seed.toUpperCase().replace(/[\s=-]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of clean) {
+            const index = alphabet.indexOf(char);
+            if (index === -1) throw new Error('TOTP seed is not valid base32');
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    // RFC 6238 time-based one-time password (SHA-1, 30s step, 6 digits)
+    async function generateTotp(seed, now = Date.now()) {
+        const key = await crypto.subtle.importKey('raw', base32Decode(seed), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+
+        const counter = new DataView(new ArrayBuffer(8));
+        const step = Math.floor(now / 1000 / 30);
+        counter.setUint32(0, Math.floor(step / 0x100000000));
+        counter.setUint32(4, step >>> 0);
+
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter.buffer));
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const code = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+        return String(code % 1000000).padStart(6, '0');
+    }
+
+    function findPlaceholders(text) {
+        return [...String(text ?? '').matchAll(PLACEHOLDER_PATTERN)]
+            .map(([placeholder, key, field]) => ({ placeholder, key, field }));
+    }
+
+    function hostMatches(hostname, domain) {
+        const host = hostname.toLowerCase().replace(/^www\./, '');
+        const target = domain.toLowerCase().replace(/^www\./, '');
+        return host === target || host.endsWith(`.${target}`);
+    }
+
+    class CredentialVault {
+        constructor() {
+            this.key = null;
+            this.entries = null;
+            // Last one-time code typed per entry, so it can be masked when it shows up in page text
+            this.issuedCodes = new Map();
+        }
+
+        get isUnlocked() {
+            return Boolean(this.key && this.entries);
+        }
+
+        async status() {
+            const { credentialVault } = await chrome.storage.local.get('credentialVault');
+            return {
+                exists: Boolean(credentialVault),
+                unlocked: this.isUnlocked,
+                entries: this.isUnlocked ? this.describeEntries() : []
+            };
+        }
+
+        // Names and placeholders only - never values
+        describeEntries() {
+            return Object.entries(this.entries).map(([key, entry]) => ({
+                key,
+                domain: entry.domain,
+                fields: ['username', 'password', 'totp'].filter(field => entry[field]),
+                placeholders: ['username', 'password', 'totp']
+                    .filter(field => entry[field])
+                    .map(field => `{{vault.${key}.${field}}}`)
+            }));
+        }
+
+        async deriveKey(password, salt) {
+            const material = await crypto.subtle.importKey(
+                'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']
+            );
+            return crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                true,
+                ['encrypt', 'decrypt']
+            );
+        }
+
+        // Creates the vault on first unlock
+        async unlock(password) {
+            if (!password) throw new Error('Master password is required');
+
+            const { credentialVault } = await chrome.storage.local.get('credentialVault');
+            if (!credentialVault) {
+                const salt = crypto.getRandomValues(new Uint8Array(16));
+                this.key = await this.deriveKey(password, salt);
+                this.salt = toBase64(salt);
+                this.entries = {};
+                await this.persist();
+            } else {
+                const key = await this.deriveKey(password, fromBase64(credentialVault.salt));
+                this.entries = await this.decrypt(key, credentialVault);
+                this.key = key;
+                this.salt = credentialVault.salt;
+            }
+
+            // Session storage lives in memory only and lets a restarted worker stay unlocked
+            const jwk = await crypto.subtle.exportKey('jwk', this.key);
+            await chrome.storage.session.set({ vaultSession: { jwk, salt: this.salt } });
+            console.log('🔐 Vault unlocked');
+        }
+
+        async restoreSession() {
+            const { vaultSession } = await chrome.storage.session.get('vaultSession');
+            const { credentialVault } = await chrome.storage.local.get('credentialVault');
+            if (!vaultSession || !credentialVault || vaultSession.salt !== credentialVault.salt) return false;
+
+            try {
+                const key = await crypto.subtle.importKey('jwk', vaultSession.jwk, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+                this.entries = await this.decrypt(key, credentialVault);
+                this.key = key;
+                this.salt = vaultSession.salt;
+                return true;
+            } catch (error) {
+                console.error('Failed to restore vault session:', error);
+                return false;
+            }
+        }
+
+        async lock() {
+            this.key = null;
+            this.entries = null;
+            this.issuedCodes.clear();
+            await chrome.storage.session.remove('vaultSession');
+            console.log('🔒 Vault locked');
+        }
+
+        async decrypt(key, stored) {
+            try {
+                const plain = await crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: fromBase64(stored.iv) }, key, fromBase64(stored.data)
+                );
+                return JSON.parse(new TextDecoder().decode(plain));
+            } catch (error) {
+                throw new Error('Wrong master password');
+            }
+        }
+
+        async persist() {
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const data = await crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv }, this.key, new TextEncoder().encode(JSON.stringify(this.entries))
+            );
+            await chrome.storage.local.set({
+                credentialVault: { salt: this.salt, iv: toBase64(iv), data: toBase64(data) }
+            });
+        }
+
+        // Blank fields keep their current value so the panel never needs to read secrets back
+        async saveEntry({ key, domain, username, password, totp }) {
+            this.requireUnlocked();
+            if (!/^[\w-]+$/.test(key || '')) throw new Error('Site name may only contain letters, digits, - and _');
+            if (!domain) throw new Error('Domain is required');
+            if (totp) base32Decode(totp);
+
+            const existing = this.entries[key] || {};
+            this.entries[key] = {
+                domain: domain.trim().toLowerCase(),
+                username: username || existing.username || '',
+                password: password || existing.password || '',
+                totp: totp || existing.totp || ''
+            };
+            await this.persist();
+        }
+
+        async deleteEntry(key) {
+            this.requireUnlocked();
+            delete this.entries[key];
+            await this.persist();
+        }
+
+        requireUnlocked() {
+            if (!this.isUnlocked) throw new Error('Credential vault is locked');
+        }
+
+        // Entry for the site at this URL, so recorded passwords become its placeholder
+        keyForUrl(url) {
+            if (!this.isUnlocked) return null;
+            let hostname = '';
+            try {
+                hostname = new URL(url).hostname;
+            } catch (error) {
+                return null;
+            }
+            return Object.keys(this.entries).find(key => hostMatches(hostname, this.entries[key].domain)) || null;
+        }
+
+        placeholders() {
+            return this.isUnlocked ? this.describeEntries().flatMap(entry => entry.placeholders) : [];
+        }
+
+        // Map placeholders in the given strings to real values, only on the entry's own domain
+        async resolve(texts, pageUrl) {
+            const found = texts.flatMap(findPlaceholders);
+            if (!found.length) return { secrets: null, error: null };
+
+            if (!this.isUnlocked) {
+                return { secrets: null, error: 'Credential vault is locked. Ask the user to unlock it in the side panel.' };
+            }
+
+            let hostname = '';
+            try {
+                hostname = new URL(pageUrl).hostname;
+            } catch (error) {
+                hostname = '';
+            }
+
+            const secrets = {};
+            for (const { placeholder, key, field } of found) {
+                const entry = this.entries[key];
+                if (!entry || !entry[field]) {
+                    return { secrets: null, error: `${placeholder} is not in the vault. Available: ${this.placeholders().join(', ') || 'none'}` };
+                }
+                if (!hostMatches(hostname, entry.domain)) {
+                    return { secrets: null, error: `${placeholder} may only be used on ${entry.domain}, not ${hostname || 'this page'}` };
+                }
+                secrets[placeholder] = field === 'totp' ? await generateTotp(entry.totp) : entry[field];
+                if (field === 'totp') this.issuedCodes.set(key, secrets[placeholder]);
+            }
+
+            return { secrets, error: null };
+        }
+
+        // Values worth hiding: passwords and usernames long enough not to match ordinary text, and issued codes
+        knownSecrets() {
+            const secrets = [];
+            for (const [key, entry] of Object.entries(this.entries)) {
+                for (const field of ['password', 'username']) {
+                    if (entry[field] && entry[field].length >= 4) {
+                        secrets.push({ key, field, value: entry[field] });
+                    }
+                }
+            }
+            for (const [key, code] of this.issuedCodes) {
+                secrets.push({ key, field: 'totp', value: code });
+            }
+            return secrets;
+        }
+
+        // Replace any known secret value with its placeholder (for text heading to the model)
+        mask(text) {
+            if (!this.isUnlocked || typeof text !== 'string') return text;
+
+            let masked = text;
+            for (const { key, field, value } of this.knownSecrets()) {
+                masked = masked.split(value).join(`{{vault.${key}.${field}}}`);
+            }
+            return masked;
+        }
+
+        // Replace secret values with a fixed marker (for logs and notifications)
+        redact(text) {
+            if (!this.isUnlocked || typeof text !== 'string') return text;
+
+            let redacted = text;
+            for (const { value } of this.knownSecrets()) {
+                redacted = redacted.split(value).join(REDACTED);
+            }
+            return redacted;
+        }
+    }
+
+    // Export for the service worker
+    self.CredentialVault = CredentialVault;
+    self.CredentialVault.findPlaceholders = findPlaceholders;
+    self.CredentialVault.generateTotp = generateTotp;
+})();
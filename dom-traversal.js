@@ -0,0 +1,168 @@
+// DOM Traversal - Element search that pierces open shadow roots and same-origin iframes
+// Rects and points are translated between frame-local and top-level viewport coordinates
+
+(function() {
+    if (self.DomTraversal) return;
+
+    // Cross-origin frames throw or return null; they stay out of reach
+    function frameDocument(frame) {
+        try {
+            return frame.contentDocument || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Every searchable root under the given one: itself, open shadow roots and same-origin frame documents
+    function collectRoots(root = document) {
+        const roots = [];
+        const pending = [root];
+
+        while (pending.length) {
+            const current = pending.shift();
+            roots.push(current);
+
+            const walker = (current.ownerDocument || current).createTreeWalker(current, NodeFilter.SHOW_ELEMENT);
+            let node = walker.currentNode;
+            while (node) {
+                if (node.shadowRoot) {
+                    pending.push(node.shadowRoot);
+                }
+                if (node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+                    const doc = frameDocument(node);
+                    if (doc?.documentElement) pending.push(doc);
+                }
+                node = walker.nextNode();
+            }
+        }
+
+        return roots;
+    }
+
+    function querySelectorAllDeep(selector, root = document) {
+        const results = [];
+        for (const current of collectRoots(root)) {
+            results.push(...current.querySelectorAll(selector));
+        }
+        return results;
+    }
+
+    function querySelectorDeep(selector, root = document) {
+        for (const current of collectRoots(root)) {
+            const match = current.querySelector(selector);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    // The iframe elements between the element's document and the top document, innermost first
+    function frameChain(element) {
+        const frames = [];
+        let view = element.ownerDocument?.defaultView;
+        while (view && view !== window) {
+            const frame = view.frameElement;
+            if (!frame) break;
+            frames.push(frame);
+            view = frame.ownerDocument.defaultView;
+        }
+        return frames;
+    }
+
+    // getBoundingClientRect in top-level viewport coordinates
+    function getViewportRect(element) {
+        const rect = element.getBoundingClientRect();
+        let left = rect.left;
+        let top = rect.top;
+
+        for (const frame of frameChain(element)) {
+            const frameRect = frame.getBoundingClientRect();
+            left += frameRect.left + frame.clientLeft;
+            top += frameRect.top + frame.clientTop;
+        }
+
+        return {
+            left,
+            top,
+            right: left + rect.width,
+            bottom: top + rect.height,
+            width: rect.width,
+            height: rect.height,
+            x: left,
+            y: top
+        };
+    }
+
+    // Deepest element at a top-level viewport point, with the point in that element's own frame
+    function elementFromPointDeep(x, y) {
+        let root = document;
+        let localX = x;
+        let localY = y;
+        let element = root.elementFromPoint(localX, localY);
+
+        while (element) {
+            if (element.shadowRoot) {
+                const inner = element.shadowRoot.elementFromPoint(localX, localY);
+                if (inner && inner !== element) {
+                    element = inner;
+                    continue;
+                }
+            }
+
+            if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+                const doc = frameDocument(element);
+                if (doc) {
+                    const frameRect = element.getBoundingClientRect();
+                    localX -= frameRect.left + element.clientLeft;
+                    localY -= frameRect.top + element.clientTop;
+                    root = doc;
+                    const inner = root.elementFromPoint(localX, localY);
+                    if (inner) {
+                        element = inner;
+                        continue;
+                    }
+                }
+            }
+
+            break;
+        }
+
+        return element ? { element, x: localX, y: localY } : null;
+    }
+
+    // Focus inside shadow roots and frames is reported as the host or the iframe; follow it down
+    function deepActiveElement() {
+        let active = document.activeElement;
+        while (active) {
+            if (active.shadowRoot?.activeElement) {
+                active = active.shadowRoot.activeElement;
+            } else if ((active.tagName === 'IFRAME' || active.tagName === 'FRAME') && frameDocument(active)?.activeElement) {
+                active = frameDocument(active).activeElement;
+            } else {
+                break;
+            }
+        }
+        return active;
+    }
+
+    // Point in the element's own frame for a top-level viewport point
+    function toFramePoint(element, x, y) {
+        let localX = x;
+        let localY = y;
+        for (const frame of frameChain(element).reverse()) {
+            const frameRect = frame.getBoundingClientRect();
+            localX -= frameRect.left + frame.clientLeft;
+            localY -= frameRect.top + frame.clientTop;
+        }
+        return { x: localX, y: localY };
+    }
+
+    self.DomTraversal = {
+        collectRoots,
+        querySelectorAllDeep,
+        querySelectorDeep,
+        getViewportRect,
+        elementFromPointDeep,
+        deepActiveElement,
+        toFramePoint
+    };
+})();
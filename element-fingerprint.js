@@ -0,0 +1,152 @@
+// Element Fingerprint - Describes an element well enough to find it again on a later visit
+// Matching is fuzzy so a fingerprint survives small page changes (new classes, moved nodes)
+
+(function() {
+    if (self.ElementFingerprint) return;
+
+    // A healed match must be at least this close to the fingerprint
+    const MIN_MATCH_SCORE = 0.6;
+
+    const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test', 'data-qa', 'data-cy'];
+
+    // Generated class names (css-1x2y3z, sc-abc123) change between builds
+    function stableClasses(element) {
+        return Array.from(element.classList)
+            .filter(name => !/\d{3,}|^css-|^sc-|^jsx-/.test(name))
+            .slice(0, 6);
+    }
+
+    // tag:nth-of-type steps up to the element's root; shadow hosts and iframes add a ">>" hop
+    function domPath(element) {
+        const hops = [];
+        let current = element;
+
+        while (current) {
+            const steps = [];
+            let node = current;
+            while (node && node.nodeType === Node.ELEMENT_NODE && node.parentNode) {
+                const tag = node.tagName.toLowerCase();
+                const siblings = node.parentNode.children ?
+                    Array.from(node.parentNode.children).filter(sibling => sibling.tagName === node.tagName) :
+                    [node];
+                steps.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+                node = node.parentElement;
+            }
+            hops.unshift(steps.join('>'));
+
+            const root = current.getRootNode();
+            current = root.host || root.defaultView?.frameElement || null;
+        }
+
+        return hops.join('>>');
+    }
+
+    function testIdOf(element) {
+        for (const name of TEST_ID_ATTRIBUTES) {
+            const value = element.getAttribute(name);
+            if (value) return value;
+        }
+        return '';
+    }
+
+    function hrefOf(element) {
+        const href = element.getAttribute('href');
+        if (!href) return '';
+        try {
+            return new URL(href, element.baseURI).pathname;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    function capture(element) {
+        const rect = self.DomTraversal.getViewportRect(element);
+        return {
+            tag: element.tagName.toLowerCase(),
+            id: element.id || '',
+            name: element.getAttribute('name') || '',
+            type: element.getAttribute('type') || '',
+            role: self.PageSnapshot.roleOf(element),
+            ariaLabel: element.getAttribute('aria-label') || '',
+            placeholder: element.getAttribute('placeholder') || '',
+            testId: testIdOf(element),
+            href: hrefOf(element),
+            classes: stableClasses(element),
+            text: self.PageSnapshot.nameOf(element).replace(/\s+/g, ' ').trim().substring(0, 80),
+            path: domPath(element),
+            // Page coordinates, so scrolling does not move the remembered spot
+            position: {
+                x: Math.round(rect.left + rect.width / 2 + window.scrollX),
+                y: Math.round(rect.top + rect.height / 2 + window.scrollY)
+            }
+        };
+    }
+
+    // Weighted agreement between a fingerprint and an element, 0..1 over the fields the fingerprint has
+    function score(fingerprint, element) {
+        const current = capture(element);
+        let total = 0;
+        let possible = 0;
+
+        const exact = (field, weight) => {
+            if (!fingerprint[field]) return;
+            possible += weight;
+            if (current[field] === fingerprint[field]) total += weight;
+        };
+        exact('id', 3);
+        exact('testId', 3);
+        exact('name', 2);
+        exact('ariaLabel', 2);
+        exact('href', 1.5);
+        exact('placeholder', 1.5);
+        exact('path', 1.5);
+        exact('type', 0.5);
+        exact('role', 0.5);
+
+        if (fingerprint.text) {
+            possible += 2.5;
+            total += 2.5 * self.ElementResolver.similarity(fingerprint.text, current.text);
+        }
+
+        if (fingerprint.classes?.length) {
+            possible += 1;
+            const shared = fingerprint.classes.filter(name => current.classes.includes(name)).length;
+            total += shared / fingerprint.classes.length;
+        }
+
+        if (fingerprint.position) {
+            possible += 1;
+            const distance = Math.hypot(current.position.x - fingerprint.position.x, current.position.y - fingerprint.position.y);
+            total += Math.max(0, 1 - distance / 1000);
+        }
+
+        return possible ? total / possible : 0;
+    }
+
+    // Returns { element, score, healed } for the best match above the threshold, or null
+    function find(fingerprint) {
+        if (!fingerprint?.tag) return null;
+
+        let best = null;
+        for (const element of self.DomTraversal.querySelectorAllDeep(fingerprint.tag)) {
+            const rect = self.DomTraversal.getViewportRect(element);
+            if (!self.PageSnapshot.isRendered(element, rect)) continue;
+
+            const value = score(fingerprint, element);
+            if (!best || value > best.score) {
+                best = { element, score: value };
+            }
+        }
+
+        if (!best || best.score < MIN_MATCH_SCORE) return null;
+
+        // Anything short of a perfect match means the page moved on and the entry needs refreshing
+        return { ...best, score: Math.round(best.score * 100) / 100, healed: best.score < 1 };
+    }
+
+    self.ElementFingerprint = {
+        capture,
+        score,
+        find
+    };
+})();
@@ -0,0 +1,246 @@
+// Element Resolver - Ranks the elements a text or CSS locator could mean
+// Near-ties and weak matches are reported back instead of clicking the first match
+
+(function() {
+    if (self.ElementResolver) return;
+
+    const MAX_CANDIDATES = 5;
+
+    // Below this the best candidate is not trusted
+    const MIN_CONFIDENCE = 0.45;
+
+    // Runner-ups within this margin of the best are too close to call
+    const AMBIGUITY_MARGIN = 0.05;
+
+    // Role and proximity only count when the action gives a hint for them
+    const WEIGHTS = {
+        name: 0.4,
+        role: 0.15,
+        interactive: 0.2,
+        visibility: 0.15,
+        size: 0.15,
+        proximity: 0.2
+    };
+
+    // Hinted roles that are satisfied, less strongly, by related roles
+    const RELATED_ROLES = {
+        textbox: ['searchbox', 'combobox'],
+        searchbox: ['textbox', 'combobox'],
+        combobox: ['textbox', 'searchbox', 'listbox'],
+        button: ['link', 'menuitem', 'tab'],
+        link: ['button', 'menuitem', 'tab'],
+        checkbox: ['switch', 'menuitemcheckbox'],
+        radio: ['menuitemradio', 'option'],
+        option: ['menuitem', 'radio', 'treeitem']
+    };
+
+    const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'META', 'LINK', 'TITLE']);
+
+    function normalize(text) {
+        return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    }
+
+    // 1 for the same text, less for prefix, substring and shared-word matches
+    function similarity(query, name) {
+        const q = normalize(query);
+        const n = normalize(name);
+        if (!q || !n) return 0;
+        if (q === n) return 1;
+
+        const coverage = Math.min(q.length, n.length) / Math.max(q.length, n.length);
+        if (n.startsWith(q) || n.endsWith(q)) return 0.6 + 0.3 * coverage;
+        if (n.includes(q)) return 0.5 + 0.3 * coverage;
+
+        const queryWords = new Set(q.split(' '));
+        const nameWords = new Set(n.split(' '));
+        const shared = [...queryWords].filter(word => nameWords.has(word)).length;
+        return shared ? 0.5 * shared / Math.max(queryWords.size, nameWords.size) : 0;
+    }
+
+    function ownText(element) {
+        return Array.from(element.childNodes)
+            .filter(node => node.nodeType === Node.TEXT_NODE)
+            .map(node => node.textContent)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // The element's own text nodes and labelling attributes - no layout and nothing from the subtree
+    function ownNamesOf(element) {
+        return [
+            ownText(element),
+            element.getAttribute('aria-label'),
+            element.getAttribute('placeholder'),
+            element.getAttribute('title'),
+            element.getAttribute('alt'),
+            element.getAttribute('name')
+        ].filter(Boolean);
+    }
+
+    // Everything an interactive element could reasonably be called, including the text inside it
+    function namesOf(element) {
+        return [self.PageSnapshot.nameOf(element), ...ownNamesOf(element)].filter(Boolean);
+    }
+
+    // Interactive elements plus anything labelled or holding text of its own, mapped to the
+    // interactive element around it so a span inside a button resolves to the button.
+    // Only interactive elements get the accessible name, which reads the rendered text of the whole subtree
+    function collectByText(query) {
+        const { INTERACTIVE_SELECTOR } = self.PageSnapshot;
+        const matches = new Map();
+
+        for (const element of self.DomTraversal.querySelectorAllDeep('*')) {
+            if (SKIPPED_TAGS.has(element.tagName) || element.closest('#ai-cursor, #ai-marks')) continue;
+
+            const interactive = element.matches(INTERACTIVE_SELECTOR);
+            const names = interactive ? namesOf(element) : ownNamesOf(element);
+            const name = Math.max(...names.map(text => similarity(query, text)), 0);
+            if (name === 0) continue;
+
+            const target = interactive ? element : element.closest(INTERACTIVE_SELECTOR) || element;
+            matches.set(target, Math.max(matches.get(target) || 0, name));
+        }
+
+        return matches;
+    }
+
+    // A locator that parses as CSS and matches something is taken as a selector
+    function collectBySelector(query) {
+        let elements = [];
+        try {
+            elements = self.DomTraversal.querySelectorAllDeep(query);
+        } catch (error) {
+            return null;
+        }
+        return elements.length ? new Map(elements.map(element => [element, 1])) : null;
+    }
+
+    function isCovered(element, rect) {
+        const x = rect.left + rect.width / 2;
+        const y = rect.top + rect.height / 2;
+        let hit = self.DomTraversal.elementFromPointDeep(x, y)?.element;
+
+        // Walk up through shadow hosts; hitting the element or something inside it means it is on top
+        while (hit) {
+            if (hit === element) return false;
+            hit = hit.parentElement || hit.getRootNode().host || null;
+        }
+        return true;
+    }
+
+    function visibilityScore(element, rect) {
+        const inside = rect.top >= 0 && rect.left >= 0 && rect.bottom <= window.innerHeight && rect.right <= window.innerWidth;
+        const overlaps = rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+        if (!overlaps) return 0.3;
+
+        const score = inside ? 1 : 0.7;
+        return isCovered(element, rect) ? score / 2 : score;
+    }
+
+    // Tiny targets and page-sized containers are rarely what the model meant
+    function sizeScore(rect) {
+        const area = rect.width * rect.height;
+        const viewportArea = window.innerWidth * window.innerHeight;
+        if (area < 16) return 0.2;
+        if (area > viewportArea * 0.3) return 0.2;
+        if (area > viewportArea * 0.1) return 0.6;
+        return 1;
+    }
+
+    function roleScore(role, hint) {
+        const wanted = hint.toLowerCase();
+        if (role === wanted) return 1;
+        return RELATED_ROLES[wanted]?.includes(role) ? 0.5 : 0;
+    }
+
+    function interactiveScore(element) {
+        if (element.matches(self.PageSnapshot.INTERACTIVE_SELECTOR)) return 1;
+        return element.ownerDocument.defaultView.getComputedStyle(element).cursor === 'pointer' ? 0.6 : 0;
+    }
+
+    function proximityScore(rect, near) {
+        const dx = rect.left + rect.width / 2 - near.x;
+        const dy = rect.top + rect.height / 2 - near.y;
+        const halfDiagonal = Math.hypot(window.innerWidth, window.innerHeight) / 2;
+        return Math.max(0, 1 - Math.hypot(dx, dy) / halfDiagonal);
+    }
+
+    function scoreCandidate(element, name, { role, near }) {
+        const rect = self.DomTraversal.getViewportRect(element);
+        if (!self.PageSnapshot.isRendered(element, rect)) return null;
+
+        const elementRole = self.PageSnapshot.roleOf(element);
+        const parts = {
+            name,
+            interactive: interactiveScore(element),
+            visibility: visibilityScore(element, rect),
+            size: sizeScore(rect)
+        };
+        if (role) parts.role = roleScore(elementRole, role);
+        if (near) parts.proximity = proximityScore(rect, near);
+
+        let total = 0;
+        let weights = 0;
+        for (const [key, value] of Object.entries(parts)) {
+            total += WEIGHTS[key] * value;
+            weights += WEIGHTS[key];
+        }
+
+        return {
+            element,
+            ref: self.PageSnapshot.refFor(element),
+            role: elementRole,
+            name: self.PageSnapshot.nameOf(element).replace(/\s+/g, ' ').trim().substring(0, 60),
+            box: {
+                x: Math.round(rect.left),
+                y: Math.round(rect.top),
+                width: Math.round(rect.width),
+                height: Math.round(rect.height)
+            },
+            score: Math.round(total / weights * 100) / 100
+        };
+    }
+
+    // Returns { element, confidence, ambiguous, bySelector, candidates } where element is only set
+    // when the best candidate is confident and clearly ahead. near is a point in viewport coordinates
+    function resolve(query, { role = null, near = null } = {}) {
+        const bySelector = collectBySelector(query);
+        const matches = bySelector || collectByText(query);
+
+        const candidates = [];
+        for (const [element, name] of matches) {
+            const candidate = scoreCandidate(element, name, { role, near });
+            if (candidate) candidates.push(candidate);
+        }
+        candidates.sort((a, b) => b.score - a.score);
+
+        const [best, second] = candidates;
+        // One element matching the selector is exactly what was asked for
+        const unique = Boolean(bySelector) && candidates.length === 1;
+        const confidence = unique ? 1 : best?.score || 0;
+        const ambiguous = !unique && Boolean(second) && best.score - second.score < AMBIGUITY_MARGIN;
+        const confident = confidence >= MIN_CONFIDENCE;
+
+        return {
+            element: best && confident && !ambiguous ? best.element : null,
+            confidence,
+            ambiguous: confident && ambiguous,
+            bySelector: Boolean(bySelector),
+            candidates: candidates.slice(0, MAX_CANDIDATES)
+        };
+    }
+
+    // One line per candidate, in the snapshot's format so the model can reuse the ref
+    function format(candidates) {
+        return candidates
+            .map(c => `${c.ref} ${c.role} ${JSON.stringify(c.name)} @${c.box.x},${c.box.y} ${c.box.width}x${c.box.height} (score ${c.score})`)
+            .join('\n');
+    }
+
+    self.ElementResolver = {
+        resolve,
+        format,
+        similarity
+    };
+})();
@@ -36,7 +36,20 @@ export default [
         Node: 'readonly',
         NodeFilter: 'readonly',
         performance: 'readonly',
-        btoa: 'readonly'
+        btoa: 'readonly',
+        self: 'readonly',
+        importScripts: 'readonly',
+        AbortController: 'readonly',
+        crypto: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
+        atob: 'readonly',
+        createImageBitmap: 'readonly',
+        OffscreenCanvas: 'readonly',
+        PointerEvent: 'readonly',
+        DragEvent: 'readonly',
+        DataTransfer: 'readonly',
+        ClipboardEvent: 'readonly'
       }
     },
     plugins: {
@@ -82,16 +82,38 @@
         }
     };
     
+    // Rich text editors keep their own document model; these markers tell which one owns an editable
+    const EDITOR_MARKERS = [
+        { name: 'ProseMirror', selector: '.ProseMirror' },
+        { name: 'Draft.js', selector: '.DraftEditor-root, .public-DraftEditor-content' },
+        { name: 'Quill', selector: '.ql-editor' },
+        { name: 'CodeMirror', selector: '.cm-editor, .CodeMirror' }
+    ];
+    
+    const EDITABLE_SELECTOR = '[contenteditable=""], [contenteditable="true"], [contenteditable="plaintext-only"]';
+    
+    // Search open shadow roots and same-origin iframes too when DOM Traversal is loaded alongside
+    function queryAll(selector, root = document) {
+        return window.DomTraversal ?
+            window.DomTraversal.querySelectorAllDeep(selector, root) :
+            Array.from(root.querySelectorAll(selector));
+    }
+    
     // Analyze a form and return field mapping
     function analyzeForm(formElement) {
         const fields = [];
-        const inputs = formElement.querySelectorAll('input, textarea, select');
+        const inputs = queryAll(`input, textarea, select, ${EDITABLE_SELECTOR}`, formElement);
         
         for (const input of inputs) {
             if (input.type === 'hidden' || input.type === 'submit' || input.type === 'button') {
                 continue;
             }
             
+            // Only the editing host of a rich editor is a field, not its paragraphs
+            if (input.isContentEditable && findEditableHost(input) !== input) {
+                continue;
+            }
+            
             const fieldInfo = identifyField(input);
             fields.push({
                 element: input,
@@ -134,6 +156,8 @@
                 input.id,
                 input.placeholder,
                 input.getAttribute('aria-label'),
+                input.getAttribute('aria-placeholder'),
+                input.getAttribute('data-placeholder'),
                 input.getAttribute('data-field'),
                 input.className
             ].filter(Boolean).join(' ').toLowerCase();
@@ -206,7 +230,7 @@
         const form = input.closest('form');
         if (!form) return { type: 'unknown', confidence: 0 };
         
-        const inputs = Array.from(form.querySelectorAll('input:not([type="hidden"])'));
+        const inputs = queryAll('input:not([type="hidden"])', form);
         const index = inputs.indexOf(input);
         
         // Common patterns
@@ -246,7 +270,7 @@
     function getFieldLabel(input) {
         // Check for associated label
         if (input.id) {
-            const label = document.querySelector(`label[for="${input.id}"]`);
+            const label = input.getRootNode().querySelector(`label[for="${input.id}"]`);
             if (label) return label.textContent.trim();
         }
         
@@ -278,10 +302,11 @@
     
     // Smart form filling
     async function fillForm(formData) {
-        console.log('Filling form with data:', formData);
+        // Values may be vault secrets, so only the field names are logged
+        console.log('Filling form fields:', Object.keys(formData));
         
         // Find all forms on page
-        const forms = document.querySelectorAll('form');
+        const forms = queryAll('form');
         let targetForm = null;
         let bestScore = 0;
         
@@ -340,15 +365,24 @@
         };
     }
     
-    // Fill a single field with proper events
-    async function fillField(element, value) {
+    // Fill a single field with proper events; mode 'append' keeps the current value
+    async function fillField(element, value, { mode = 'replace' } = {}) {
         try {
+            // Rich text editors ignore .value and need real editing commands
+            const host = findEditableHost(element);
+            if (host) {
+                const result = await insertIntoEditable(host, value, { mode });
+                console.log(`${result.success ? '✅' : '❌'} Filled ${result.editor} via ${result.method} (${String(value).length} chars)`);
+                return result.success;
+            }
+            
             // Focus the field
             element.focus();
             element.click();
             
             // Clear existing value
-            element.select();
+            const previous = element.value || '';
+            element.select?.();
             element.value = '';
             
             // For select elements
@@ -369,7 +403,7 @@
             }
             
             // For input/textarea elements - use direct assignment
-            element.value = value;
+            element.value = mode === 'append' ? previous + value : value;
             
             // Trigger all necessary events
             const events = [
@@ -387,7 +421,8 @@
                 element.checkValidity();
             }
             
-            console.log(`✅ Filled ${element.name || element.id} with "${value}"`);
+            // Never log the value itself, it may be a password
+            console.log(`✅ Filled ${element.name || element.id} (${String(value).length} chars)`);
             return true;
             
         } catch (error) {
@@ -396,14 +431,117 @@
         }
     }
     
+    // The outermost contenteditable ancestor is the element editors listen on
+    function findEditableHost(element) {
+        if (!element?.isContentEditable) return null;
+        
+        let host = element;
+        while (host.parentElement?.isContentEditable) {
+            host = host.parentElement;
+        }
+        return host;
+    }
+    
+    function detectEditor(host) {
+        const marker = EDITOR_MARKERS.find(({ selector }) => host.matches(selector) || host.closest(selector));
+        return marker ? marker.name : 'contenteditable';
+    }
+    
+    // Put the caret where the text goes: over everything (replace) or after it (append)
+    function selectForEditing(host, mode = 'replace') {
+        host.focus();
+        
+        // The host may live in a same-origin iframe with its own selection
+        const range = host.ownerDocument.createRange();
+        range.selectNodeContents(host);
+        if (mode === 'append') {
+            range.collapse(false);
+        }
+        
+        const selection = host.ownerDocument.defaultView.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+    
+    function normalizeText(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim();
+    }
+    
+    // Insert through the editor's own input handling so its model stays in sync:
+    // an optional caller-supplied insert (trusted input), execCommand, a paste event, then raw DOM
+    async function insertIntoEditable(host, text, { mode = 'replace', insert = null } = {}) {
+        const editor = detectEditor(host);
+        const before = normalizeText(host.innerText);
+        const wanted = normalizeText(text);
+        
+        if (mode === 'replace' && before === wanted) {
+            return { success: true, editor, method: 'unchanged' };
+        }
+        
+        // Clearing: delete the selected content and check it is gone
+        if (!wanted) {
+            selectForEditing(host, mode);
+            if (mode === 'replace') host.ownerDocument.execCommand('delete');
+            return { success: mode === 'append' || !normalizeText(host.innerText), editor, method: 'delete' };
+        }
+        
+        const tail = wanted.slice(-40);
+        const landed = () => {
+            const after = normalizeText(host.innerText);
+            return after !== before && after.includes(tail);
+        };
+        
+        const attempts = [
+            { method: 'trusted', run: () => insert && insert(text) },
+            { method: 'insertText', run: () => host.ownerDocument.execCommand('insertText', false, text) },
+            {
+                method: 'paste',
+                run: () => {
+                    const clipboardData = new DataTransfer();
+                    clipboardData.setData('text/plain', text);
+                    host.dispatchEvent(new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true }));
+                    return true;
+                }
+            },
+            {
+                // Plain contenteditable with no editor behind it
+                method: 'dom',
+                run: () => {
+                    const range = host.ownerDocument.defaultView.getSelection().getRangeAt(0);
+                    range.deleteContents();
+                    range.insertNode(host.ownerDocument.createTextNode(text));
+                    range.collapse(false);
+                    host.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: text, bubbles: true }));
+                    return true;
+                }
+            }
+        ];
+        
+        for (const { method, run } of attempts) {
+            selectForEditing(host, mode);
+            await sleep(30);
+            
+            if (await run()) {
+                // Editors apply some changes on the next frame
+                await sleep(50);
+                if (landed()) {
+                    return { success: true, editor, method };
+                }
+            }
+        }
+        
+        return { success: false, editor, method: 'none' };
+    }
+    
     // Find specific field by type
     function findFieldByType(fieldType) {
-        const allInputs = document.querySelectorAll('input:not([type="hidden"]), textarea, select');
+        const allInputs = queryAll(`input:not([type="hidden"]), textarea, select, ${EDITABLE_SELECTOR}`);
         let bestMatch = null;
         let bestScore = 0;
         
         for (const input of allInputs) {
             if (!isVisible(input)) continue;
+            if (input.isContentEditable && findEditableHost(input) !== input) continue;
             
             const fieldInfo = identifyField(input);
             if (fieldInfo.type === fieldType && fieldInfo.confidence > bestScore) {
@@ -419,8 +557,8 @@
     function isVisible(element) {
         if (!element) return false;
         
-        const rect = element.getBoundingClientRect();
-        const style = window.getComputedStyle(element);
+        const rect = window.DomTraversal ? window.DomTraversal.getViewportRect(element) : element.getBoundingClientRect();
+        const style = element.ownerDocument.defaultView.getComputedStyle(element);
         
         return rect.width > 0 && 
                rect.height > 0 && 
@@ -442,7 +580,11 @@
         fillForm,
         findFieldByType,
         fillField,
-        getFieldLabel
+        getFieldLabel,
+        findEditableHost,
+        detectEditor,
+        selectForEditing,
+        insertIntoEditable
     };
     
     console.log('✅ Form Intelligence ready');
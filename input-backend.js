@@ -0,0 +1,178 @@
+// Input Backend - Trusted mouse and keyboard input through the Chrome DevTools Protocol
+// Pages see isTrusted=true events, unlike the synthetic events the content script dispatches
+
+(function() {
+    const PROTOCOL_VERSION = '1.3';
+
+    const BACKENDS = {
+        synthetic: 'Synthetic DOM events',
+        debugger: 'Trusted input (chrome.debugger)'
+    };
+
+    const TYPING_MODES = {
+        instant: 'Instant (set the value)',
+        keystrokes: 'Keystrokes (one key per character)'
+    };
+
+    const DEFAULT_SETTINGS = {
+        defaultBackend: 'synthetic',
+        sites: {},
+        typingMode: 'instant',
+        keyDelayMin: 40,
+        keyDelayMax: 120
+    };
+
+    const BUTTON_MASKS = { none: 0, left: 1, right: 2, middle: 4 };
+
+    function resolveSettings(stored = {}) {
+        const defaultBackend = BACKENDS[stored.defaultBackend] ? stored.defaultBackend : DEFAULT_SETTINGS.defaultBackend;
+
+        const sites = {};
+        for (const [site, backend] of Object.entries(stored.sites || {})) {
+            if (BACKENDS[backend]) {
+                sites[site.trim().toLowerCase().replace(/^www\./, '')] = backend;
+            }
+        }
+
+        const delay = (value, fallback) => {
+            const number = Number(value);
+            return Number.isFinite(number) && value !== '' && value !== null ? Math.min(Math.max(Math.round(number), 0), 2000) : fallback;
+        };
+        const keyDelayMin = delay(stored.keyDelayMin, DEFAULT_SETTINGS.keyDelayMin);
+        const keyDelayMax = Math.max(keyDelayMin, delay(stored.keyDelayMax, DEFAULT_SETTINGS.keyDelayMax));
+
+        return {
+            defaultBackend,
+            sites,
+            typingMode: TYPING_MODES[stored.typingMode] ? stored.typingMode : DEFAULT_SETTINGS.typingMode,
+            keyDelayMin,
+            keyDelayMax
+        };
+    }
+
+    // Most specific matching site wins, like the safety policy
+    function backendFor(url, settings) {
+        let hostname = '';
+        try {
+            hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (error) {
+            return settings.defaultBackend;
+        }
+
+        const site = Object.keys(settings.sites)
+            .filter(key => hostname === key || hostname.endsWith(`.${key}`))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return site ? settings.sites[site] : settings.defaultBackend;
+    }
+
+    class DebuggerInput {
+        constructor() {
+            this.attachedTabs = new Set();
+            this.listening = false;
+        }
+
+        // chrome.debugger only exists once the user has granted the optional permission
+        async attach(tabId) {
+            if (this.attachedTabs.has(tabId)) return;
+            if (!chrome.debugger) throw new Error('the debugger permission was not granted');
+
+            if (!this.listening) {
+                this.listening = true;
+                // The user can cancel the debugging infobar at any time
+                chrome.debugger.onDetach.addListener((source, reason) => {
+                    this.attachedTabs.delete(source.tabId);
+                    console.log('🔌 Debugger detached:', reason);
+                });
+            }
+
+            await chrome.debugger.attach({ tabId }, PROTOCOL_VERSION);
+            this.attachedTabs.add(tabId);
+            console.log('🔌 Debugger attached to tab', tabId);
+        }
+
+        async detachAll() {
+            for (const tabId of this.attachedTabs) {
+                try {
+                    await chrome.debugger.detach({ tabId });
+                } catch (error) {
+                    // Tab already closed or detached by the user
+                }
+            }
+            this.attachedTabs.clear();
+        }
+
+        send(tabId, method, params) {
+            return chrome.debugger.sendCommand({ tabId }, method, params);
+        }
+
+        // x/y are CSS pixels relative to the viewport, the same space as clientX/clientY
+        mouse(tabId, type, x, y, extra = {}) {
+            return this.send(tabId, 'Input.dispatchMouseEvent', { type, x, y, ...extra });
+        }
+
+        async click(tabId, { x, y, button = 'left', clickCount = 1 }) {
+            await this.mouse(tabId, 'mouseMoved', x, y);
+            for (let count = 1; count <= clickCount; count++) {
+                await this.mouse(tabId, 'mousePressed', x, y, { button, buttons: BUTTON_MASKS[button], clickCount: count });
+                await this.mouse(tabId, 'mouseReleased', x, y, { button, buttons: 0, clickCount: count });
+            }
+        }
+
+        async drag(tabId, { from, to, steps = 10 }) {
+            await this.mouse(tabId, 'mouseMoved', from.x, from.y);
+            await this.mouse(tabId, 'mousePressed', from.x, from.y, { button: 'left', buttons: 1, clickCount: 1 });
+            for (let i = 1; i <= steps; i++) {
+                const x = from.x + (to.x - from.x) * i / steps;
+                const y = from.y + (to.y - from.y) * i / steps;
+                await this.mouse(tabId, 'mouseMoved', x, y, { button: 'left', buttons: 1 });
+            }
+            await this.mouse(tabId, 'mouseReleased', to.x, to.y, { button: 'left', buttons: 0, clickCount: 1 });
+        }
+
+        // Keys with text produce keypress and input; the rest are raw key downs
+        async key(tabId, { key, code, keyCode, text = '', modifiers = 0 }) {
+            const event = { key, code, windowsVirtualKeyCode: keyCode, nativeVirtualKeyCode: keyCode, modifiers };
+            await this.send(tabId, 'Input.dispatchKeyEvent', {
+                ...event,
+                type: text ? 'keyDown' : 'rawKeyDown',
+                text,
+                unmodifiedText: text
+            });
+            await this.send(tabId, 'Input.dispatchKeyEvent', { ...event, type: 'keyUp' });
+        }
+
+        insertText(tabId, { text }) {
+            return this.send(tabId, 'Input.insertText', { text });
+        }
+
+        async run(tabId, command) {
+            await this.attach(tabId);
+
+            switch (command.type) {
+                case 'click':
+                    return this.click(tabId, command);
+                case 'move':
+                    return this.mouse(tabId, 'mouseMoved', command.x, command.y);
+                case 'drag':
+                    return this.drag(tabId, command);
+                case 'key':
+                    return this.key(tabId, command);
+                case 'insertText':
+                    return this.insertText(tabId, command);
+                default:
+                    throw new Error(`Unknown input command: ${command.type}`);
+            }
+        }
+    }
+
+    // Export for the service worker
+    self.InputBackend = {
+        BACKENDS,
+        TYPING_MODES,
+        DEFAULT_SETTINGS,
+        resolveSettings,
+        backendFor,
+        DebuggerInput
+    };
+})();
@@ -0,0 +1,157 @@
+// Keyboard - Key names, chords and per-character key descriptions
+// Used by the content script for synthetic key events and for trusted (CDP) key input
+
+(function() {
+    if (self.Keyboard) return;
+
+    // CDP modifier bit mask, also used to order modifier key presses
+    const MODIFIERS = {
+        Alt: { bit: 1, code: 'AltLeft', keyCode: 18, flag: 'altKey' },
+        Control: { bit: 2, code: 'ControlLeft', keyCode: 17, flag: 'ctrlKey' },
+        Meta: { bit: 4, code: 'MetaLeft', keyCode: 91, flag: 'metaKey' },
+        Shift: { bit: 8, code: 'ShiftLeft', keyCode: 16, flag: 'shiftKey' }
+    };
+
+    const NAMED_KEYS = {
+        Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+        Tab: { code: 'Tab', keyCode: 9 },
+        Escape: { code: 'Escape', keyCode: 27 },
+        Backspace: { code: 'Backspace', keyCode: 8 },
+        Delete: { code: 'Delete', keyCode: 46 },
+        Insert: { code: 'Insert', keyCode: 45 },
+        ' ': { code: 'Space', keyCode: 32, text: ' ' },
+        ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+        ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+        ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+        ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+        Home: { code: 'Home', keyCode: 36 },
+        End: { code: 'End', keyCode: 35 },
+        PageUp: { code: 'PageUp', keyCode: 33 },
+        PageDown: { code: 'PageDown', keyCode: 34 }
+    };
+    for (let i = 1; i <= 12; i++) {
+        NAMED_KEYS[`F${i}`] = { code: `F${i}`, keyCode: 111 + i };
+    }
+
+    const ALIASES = {
+        ctrl: 'Control', control: 'Control',
+        cmd: 'Meta', command: 'Meta', meta: 'Meta', win: 'Meta', super: 'Meta',
+        alt: 'Alt', option: 'Alt', opt: 'Alt',
+        shift: 'Shift',
+        enter: 'Enter', return: 'Enter',
+        tab: 'Tab',
+        esc: 'Escape', escape: 'Escape',
+        backspace: 'Backspace',
+        del: 'Delete', delete: 'Delete',
+        ins: 'Insert', insert: 'Insert',
+        space: ' ', spacebar: ' ',
+        up: 'ArrowUp', arrowup: 'ArrowUp',
+        down: 'ArrowDown', arrowdown: 'ArrowDown',
+        left: 'ArrowLeft', arrowleft: 'ArrowLeft',
+        right: 'ArrowRight', arrowright: 'ArrowRight',
+        home: 'Home', end: 'End',
+        pageup: 'PageUp', pgup: 'PageUp',
+        pagedown: 'PageDown', pgdn: 'PageDown'
+    };
+
+    const SHIFTED_DIGITS = ')!@#$%^&*(';
+
+    function normalizeName(name) {
+        if (name.length === 1) return name;
+        const alias = ALIASES[name.toLowerCase()];
+        if (alias) return alias;
+        const fKey = /^f(\d{1,2})$/i.exec(name);
+        return fKey ? `F${fKey[1]}` : name;
+    }
+
+    // A single printable character, as typed on a US layout
+    function describeChar(char) {
+        if (NAMED_KEYS[char]) return { key: char, ...NAMED_KEYS[char], shift: false };
+        if (char === '\n') return { key: 'Enter', ...NAMED_KEYS.Enter, shift: false };
+
+        if (/^[a-z]$/i.test(char)) {
+            const upper = char.toUpperCase();
+            return { key: char, code: `Key${upper}`, keyCode: upper.charCodeAt(0), text: char, shift: char !== char.toLowerCase() };
+        }
+        if (/^[0-9]$/.test(char)) {
+            return { key: char, code: `Digit${char}`, keyCode: char.charCodeAt(0), text: char, shift: false };
+        }
+        if (SHIFTED_DIGITS.includes(char)) {
+            const digit = String(SHIFTED_DIGITS.indexOf(char));
+            return { key: char, code: `Digit${digit}`, keyCode: digit.charCodeAt(0), text: char, shift: true };
+        }
+
+        // Punctuation and non-Latin text: the key value and text are what matter to pages
+        return { key: char, code: '', keyCode: 0, text: char, shift: false };
+    }
+
+    // "Control+Shift+Tab" -> { key, code, keyCode, text, modifiers: ['Control', 'Shift'], modifierMask }
+    function parseChord(chord) {
+        const raw = String(chord ?? '').trim();
+        if (!raw) throw new Error('Empty key chord');
+
+        // A trailing "+" is the plus key itself, as in "Control++"
+        const parts = raw.endsWith('++') ? [...raw.slice(0, -2).split('+'), '+'] :
+            raw === '+' ? ['+'] : raw.split('+');
+        const names = parts.map(part => normalizeName(part.trim())).filter(Boolean);
+
+        const modifiers = names.filter(name => MODIFIERS[name]);
+        const keys = names.filter(name => !MODIFIERS[name]);
+        if (keys.length > 1) {
+            throw new Error(`"${raw}" presses more than one non-modifier key, send them as separate entries`);
+        }
+
+        // A bare modifier ("Shift") is pressed on its own
+        const keyName = keys[0] || modifiers.pop();
+        if (MODIFIERS[keyName]) {
+            const { code, keyCode } = MODIFIERS[keyName];
+            return buildChord({ key: keyName, code, keyCode, text: '' }, modifiers);
+        }
+
+        if (keyName.length === 1) {
+            const char = describeChar(keyName);
+            // "A" alone is a capital letter; in "Control+A" it just names the key
+            if (char.shift && !modifiers.length) modifiers.push('Shift');
+            // Shortcuts like Control+A report the lowercase key; Shift+1 is "!" as on a US layout
+            const shifted = modifiers.includes('Shift');
+            let key = shifted ? keyName.toUpperCase() : keyName.toLowerCase();
+            if (shifted && /^[0-9]$/.test(keyName)) key = SHIFTED_DIGITS[Number(keyName)];
+            return buildChord({ key, code: char.code, keyCode: char.keyCode, text: key }, modifiers);
+        }
+
+        const named = NAMED_KEYS[keyName];
+        if (!named) {
+            throw new Error(`Unknown key "${keyName}" in "${raw}"`);
+        }
+        return buildChord({ key: keyName, code: named.code, keyCode: named.keyCode, text: named.text || '' }, modifiers);
+    }
+
+    function buildChord(key, modifiers) {
+        const ordered = Object.keys(MODIFIERS).filter(name => modifiers.includes(name));
+        // Shortcuts with Control, Alt or Meta do not insert text
+        const commandKey = ordered.some(name => name !== 'Shift');
+
+        return {
+            ...key,
+            text: commandKey ? '' : key.text,
+            modifiers: ordered,
+            modifierMask: ordered.reduce((mask, name) => mask | MODIFIERS[name].bit, 0)
+        };
+    }
+
+    // KeyboardEvent init flags for the given modifier names
+    function modifierFlags(modifiers) {
+        const flags = { altKey: false, ctrlKey: false, metaKey: false, shiftKey: false };
+        for (const name of modifiers) {
+            flags[MODIFIERS[name].flag] = true;
+        }
+        return flags;
+    }
+
+    self.Keyboard = {
+        MODIFIERS,
+        describeChar,
+        parseChord,
+        modifierFlags
+    };
+})();
@@ -0,0 +1,439 @@
+// LLM Provider Layer - Pluggable model backends for the automation engine
+// Gemini Live (WebSocket), Gemini REST (generateContent) and OpenAI-compatible chat completions
+
+(function() {
+    const PROVIDER_DEFAULTS = {
+        'gemini-live': {
+            label: 'Gemini Live (WebSocket)',
+            model: 'gemini-2.0-flash-exp',
+            baseUrl: 'wss://generativelanguage.googleapis.com',
+            requiresApiKey: true
+        },
+        'gemini-rest': {
+            label: 'Gemini REST',
+            model: 'gemini-2.0-flash',
+            baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+            requiresApiKey: true
+        },
+        'openai-compatible': {
+            label: 'OpenAI-compatible (Ollama, llama.cpp, ...)',
+            model: 'llama3.2-vision',
+            baseUrl: 'http://localhost:11434/v1',
+            requiresApiKey: false
+        }
+    };
+
+    const DEFAULT_SETTINGS = {
+        provider: 'gemini-live',
+        model: '',
+        baseUrl: '',
+        temperature: 0.3,
+        topP: 0.95,
+        maxOutputTokens: 2048
+    };
+
+    // Stateless providers resend the conversation every step: the opening exchange (the task)
+    // plus this many of the latest user/model exchanges
+    const MAX_RECENT_EXCHANGES = 8;
+
+    // Merge stored settings with defaults and fill provider-specific gaps
+    function resolveSettings(stored = {}) {
+        const settings = { ...DEFAULT_SETTINGS, ...stored };
+        if (!PROVIDER_DEFAULTS[settings.provider]) {
+            settings.provider = DEFAULT_SETTINGS.provider;
+        }
+
+        const defaults = PROVIDER_DEFAULTS[settings.provider];
+        settings.model = settings.model || defaults.model;
+        settings.baseUrl = (settings.baseUrl || defaults.baseUrl).replace(/\/+$/, '');
+        settings.temperature = toNumber(settings.temperature, DEFAULT_SETTINGS.temperature);
+        settings.topP = toNumber(settings.topP, DEFAULT_SETTINGS.topP);
+        settings.maxOutputTokens = parseInt(settings.maxOutputTokens, 10) || DEFAULT_SETTINGS.maxOutputTokens;
+        return settings;
+    }
+
+    function toNumber(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : fallback;
+    }
+
+    // Base class - every provider turns { text, image } turns into model text responses
+    class LLMProvider {
+        constructor(settings, apiKey, handlers = {}) {
+            this.settings = settings;
+            this.apiKey = apiKey;
+            this.handlers = handlers;
+            this.isConnected = false;
+            this.systemPrompt = '';
+        }
+
+        get requiresApiKey() {
+            return PROVIDER_DEFAULTS[this.settings.provider].requiresApiKey;
+        }
+
+        async connect(systemPrompt) {
+            this.systemPrompt = systemPrompt;
+            this.isConnected = true;
+            return true;
+        }
+
+        async sendTurn(_turn) {
+            throw new Error('sendTurn not implemented');
+        }
+
+        disconnect() {
+            this.isConnected = false;
+        }
+
+        notify(type, message) {
+            this.handlers.onNotification?.(type, message);
+        }
+
+        emitResponse(text) {
+            Promise.resolve(this.handlers.onResponse?.(text)).catch(error => {
+                console.error('Response handler error:', error);
+            });
+        }
+    }
+
+    // Gemini Live API over BidiGenerateContent WebSocket
+    class GeminiLiveProvider extends LLMProvider {
+        constructor(settings, apiKey, handlers) {
+            super(settings, apiKey, handlers);
+            this.websocket = null;
+            this.messageBuffer = '';
+        }
+
+        async connect(systemPrompt) {
+            this.systemPrompt = systemPrompt;
+
+            return new Promise((resolve) => {
+                try {
+                    console.log('Connecting to Gemini Live...');
+                    const wsUrl = `${this.settings.baseUrl}/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent?key=${this.apiKey}`;
+
+                    this.websocket = new WebSocket(wsUrl);
+
+                    // Set timeout for connection
+                    const connectionTimeout = setTimeout(() => {
+                        if (!this.isConnected) {
+                            console.error('Connection timeout');
+                            this.websocket.close();
+                            resolve(false);
+                        }
+                    }, 15000); // 15 seconds timeout
+
+                    this.websocket.onopen = () => {
+                        console.log('✅ WebSocket opened successfully');
+                        this.notify('status', 'WebSocket connected, configuring AI...');
+
+                        const setup = {
+                            setup: {
+                                model: `models/${this.settings.model}`,
+                                generationConfig: {
+                                    responseModalities: ["TEXT"],
+                                    temperature: this.settings.temperature,
+                                    topP: this.settings.topP,
+                                    maxOutputTokens: this.settings.maxOutputTokens
+                                },
+                                systemInstruction: {
+                                    parts: [{
+                                        text: this.systemPrompt
+                                    }]
+                                }
+                            }
+                        };
+
+                        console.log('Sending setup configuration...');
+                        this.websocket.send(JSON.stringify(setup));
+                        console.log('Setup sent, waiting for confirmation...');
+                    };
+
+                    this.websocket.onmessage = async (event) => {
+                        try {
+                            let data;
+                            if (event.data instanceof Blob) {
+                                const text = await event.data.text();
+                                data = JSON.parse(text);
+                            } else {
+                                data = JSON.parse(event.data);
+                            }
+
+                            // Log all messages for debugging
+                            console.log('WebSocket message received:', data);
+
+                            // Check for setup completion
+                            if (data.setupComplete) {
+                                console.log('✅ Setup complete confirmed by server!');
+                                clearTimeout(connectionTimeout);
+                                this.isConnected = true;
+                                resolve(true);
+                                return;
+                            }
+
+                            // Check for errors
+                            if (data.error) {
+                                console.error('Server error:', data.error);
+                                this.notify('error', `❌ Server error: ${data.error.message || data.error}`);
+                            }
+
+                            // Handle regular messages
+                            if (this.isConnected && data.serverContent) {
+                                this.handleServerContent(data.serverContent);
+                            }
+                        } catch (error) {
+                            console.error('Message handling error:', error);
+                        }
+                    };
+
+                    this.websocket.onerror = (error) => {
+                        console.error('❌ WebSocket error:', error);
+                        clearTimeout(connectionTimeout);
+                        this.isConnected = false;
+                        this.notify('error', '❌ WebSocket connection error');
+                        this.notify('status', 'Connection error');
+                        resolve(false);
+                    };
+
+                    this.websocket.onclose = (event) => {
+                        console.log('WebSocket closed, code:', event.code, 'reason:', event.reason);
+                        clearTimeout(connectionTimeout);
+
+                        if (!this.isConnected) {
+                            // Connection failed during setup
+                            console.error('Connection closed before setup complete');
+                            this.notify('error', '❌ Connection closed unexpectedly');
+                            this.notify('status', 'Failed to connect');
+                            resolve(false);
+                        } else {
+                            // Normal disconnection
+                            this.isConnected = false;
+                            this.handlers.onDisconnect?.(event);
+                        }
+                    };
+
+                } catch (error) {
+                    console.error('Connection error:', error);
+                    resolve(false);
+                }
+            });
+        }
+
+        handleServerContent(serverContent) {
+            // Accumulate message parts
+            if (serverContent.modelTurn?.parts) {
+                for (const part of serverContent.modelTurn.parts) {
+                    if (part.text) {
+                        this.messageBuffer += part.text;
+                    }
+                }
+            }
+
+            // Emit complete message
+            if (serverContent.turnComplete) {
+                console.log('Complete response received');
+                if (this.messageBuffer) {
+                    this.emitResponse(this.messageBuffer);
+                    this.messageBuffer = '';
+                }
+            }
+        }
+
+        async sendTurn({ text, image }) {
+            if (!this.websocket || this.websocket.readyState !== WebSocket.OPEN) {
+                throw new Error('WebSocket is not connected');
+            }
+
+            const parts = [];
+            if (image) {
+                parts.push({
+                    inlineData: {
+                        mimeType: 'image/jpeg',
+                        data: image.split(',')[1]
+                    }
+                });
+            }
+            parts.push({ text });
+
+            const message = {
+                clientContent: {
+                    turns: [{ role: 'user', parts }],
+                    turnComplete: true
+                }
+            };
+
+            this.websocket.send(JSON.stringify(message));
+        }
+
+        disconnect() {
+            this.isConnected = false;
+            this.messageBuffer = '';
+            if (this.websocket) {
+                this.websocket.onclose = null;
+                this.websocket.close();
+                this.websocket = null;
+            }
+        }
+    }
+
+    // Shared conversation handling for stateless HTTP providers
+    class HttpChatProvider extends LLMProvider {
+        constructor(settings, apiKey, handlers) {
+            super(settings, apiKey, handlers);
+            this.history = [];
+            this.abortController = null;
+        }
+
+        async connect(systemPrompt) {
+            this.history = [];
+            return super.connect(systemPrompt);
+        }
+
+        async sendTurn(turn) {
+            if (!this.isConnected) {
+                throw new Error('Provider is not connected');
+            }
+
+            // Only the latest screenshot is worth resending; older ones just burn tokens
+            this.history = this.history.map(entry => ({ ...entry, image: null }));
+            this.history.push({ role: 'user', text: turn.text, image: turn.image || null });
+            this.trimHistory();
+
+            this.abortController = new AbortController();
+            let text;
+            try {
+                text = await this.request(this.abortController.signal);
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                this.history.pop();
+                throw error;
+            } finally {
+                this.abortController = null;
+            }
+
+            this.history.push({ role: 'model', text, image: null });
+            this.emitResponse(text);
+        }
+
+        // Keeps user/model turns alternating: opening exchange, then whole exchanges up to the new user turn
+        trimHistory() {
+            const recent = MAX_RECENT_EXCHANGES * 2 + 1;
+            if (this.history.length <= recent + 2) return;
+            this.history = [...this.history.slice(0, 2), ...this.history.slice(-recent)];
+        }
+
+        async postJson(url, body, headers = {}, signal) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                const detail = data.error?.message || data.error || response.statusText;
+                throw new Error(`HTTP ${response.status}: ${detail}`);
+            }
+            return data;
+        }
+
+        async request(_signal) {
+            throw new Error('request not implemented');
+        }
+
+        disconnect() {
+            super.disconnect();
+            this.abortController?.abort();
+            this.history = [];
+        }
+    }
+
+    // Gemini generateContent REST endpoint
+    class GeminiRestProvider extends HttpChatProvider {
+        async request(signal) {
+            const url = `${this.settings.baseUrl}/models/${this.settings.model}:generateContent?key=${this.apiKey}`;
+
+            const contents = this.history.map(entry => {
+                const parts = [];
+                if (entry.image) {
+                    parts.push({
+                        inlineData: {
+                            mimeType: 'image/jpeg',
+                            data: entry.image.split(',')[1]
+                        }
+                    });
+                }
+                parts.push({ text: entry.text });
+                return { role: entry.role, parts };
+            });
+
+            const data = await this.postJson(url, {
+                systemInstruction: { parts: [{ text: this.systemPrompt }] },
+                contents,
+                generationConfig: {
+                    temperature: this.settings.temperature,
+                    topP: this.settings.topP,
+                    maxOutputTokens: this.settings.maxOutputTokens
+                }
+            }, {}, signal);
+
+            const parts = data.candidates?.[0]?.content?.parts || [];
+            return parts.map(part => part.text || '').join('');
+        }
+    }
+
+    // OpenAI-compatible /chat/completions (OpenAI, Ollama, llama.cpp server, vLLM, ...)
+    class OpenAICompatibleProvider extends HttpChatProvider {
+        async request(signal) {
+            const messages = [{ role: 'system', content: this.systemPrompt }];
+
+            for (const entry of this.history) {
+                if (entry.role === 'model') {
+                    messages.push({ role: 'assistant', content: entry.text });
+                } else if (entry.image) {
+                    messages.push({
+                        role: 'user',
+                        content: [
+                            { type: 'image_url', image_url: { url: entry.image } },
+                            { type: 'text', text: entry.text }
+                        ]
+                    });
+                } else {
+                    messages.push({ role: 'user', content: entry.text });
+                }
+            }
+
+            const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+            const data = await this.postJson(`${this.settings.baseUrl}/chat/completions`, {
+                model: this.settings.model,
+                messages,
+                temperature: this.settings.temperature,
+                top_p: this.settings.topP,
+                max_tokens: this.settings.maxOutputTokens
+            }, headers, signal);
+
+            return data.choices?.[0]?.message?.content || '';
+        }
+    }
+
+    const PROVIDERS = {
+        'gemini-live': GeminiLiveProvider,
+        'gemini-rest': GeminiRestProvider,
+        'openai-compatible': OpenAICompatibleProvider
+    };
+
+    function createProvider(settings, apiKey, handlers) {
+        const resolved = resolveSettings(settings);
+        const Provider = PROVIDERS[resolved.provider];
+        return new Provider(resolved, apiKey, handlers);
+    }
+
+    // Export for the service worker
+    self.LLMProviders = {
+        PROVIDER_DEFAULTS,
+        DEFAULT_SETTINGS,
+        resolveSettings,
+        createProvider
+    };
+})();
@@ -0,0 +1,130 @@
+// Macro Store - Named action sequences recorded from the user, kept from completed tasks or edited in the side panel
+// Every step is validated against the action schema before it is stored
+
+(function() {
+    const MAX_MACROS = 100;
+    const MAX_STEPS = 200;
+
+    // Returns { macro, errors } with the macro normalized, or errors saying what to fix
+    function validateMacro(raw, validateAction) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { macro: null, errors: ['A macro must be a JSON object with "name" and "steps"'] };
+        }
+
+        const errors = [];
+        const name = String(raw.name || '').trim();
+        if (!name || name.length > 60) {
+            errors.push('"name" is required and may be at most 60 characters');
+        }
+
+        const steps = Array.isArray(raw.steps) ? raw.steps : [];
+        if (!steps.length || steps.length > MAX_STEPS) {
+            errors.push(`"steps" needs between 1 and ${MAX_STEPS} actions`);
+        }
+
+        const validSteps = [];
+        steps.forEach((step, index) => {
+            const result = validateAction(step);
+            if (result.valid) {
+                validSteps.push(result.action);
+            } else {
+                errors.push(`Step ${index + 1}: ${result.errors[0]}`);
+            }
+        });
+
+        if (raw.startUrl !== undefined && typeof raw.startUrl !== 'string') {
+            errors.push('"startUrl" must be a URL string');
+        }
+
+        return {
+            macro: errors.length ? null : {
+                name,
+                description: String(raw.description || ''),
+                startUrl: raw.startUrl || '',
+                steps: validSteps
+            },
+            errors
+        };
+    }
+
+    class MacroStore {
+        constructor() {
+            this.macros = [];
+        }
+
+        async load() {
+            const { macros } = await chrome.storage.local.get('macros');
+            this.macros = Array.isArray(macros) ? macros : [];
+        }
+
+        async persist() {
+            await chrome.storage.local.set({ macros: this.macros });
+        }
+
+        get(id) {
+            return this.macros.find(macro => macro.id === id) || null;
+        }
+
+        // Summaries for the side panel, newest first
+        describe() {
+            return [...this.macros]
+                .sort((a, b) => b.updatedAt - a.updatedAt)
+                .map(({ id, name, description, startUrl, source, steps, updatedAt }) => ({
+                    id, name, description, startUrl, source, steps, updatedAt
+                }));
+        }
+
+        // Creates the macro, or replaces the one with the same id; returns { macro, errors }
+        async save(raw, validateAction, source = 'edited') {
+            const { macro, errors } = validateMacro(raw, validateAction);
+            if (!macro) return { macro: null, errors };
+
+            const existing = raw.id ? this.get(raw.id) : null;
+            if (!existing && this.macros.length >= MAX_MACROS) {
+                return { macro: null, errors: [`At most ${MAX_MACROS} macros can be saved, delete one first`] };
+            }
+
+            const now = Date.now();
+            const saved = {
+                ...macro,
+                id: existing?.id || crypto.randomUUID(),
+                source: existing?.source || source,
+                createdAt: existing?.createdAt || now,
+                updatedAt: now
+            };
+            this.macros = existing ?
+                this.macros.map(candidate => candidate.id === existing.id ? saved : candidate) :
+                [...this.macros, saved];
+
+            await this.persist();
+            return { macro: saved, errors: [] };
+        }
+
+        // A completed task replaces the earlier run of the same task, and makes room by dropping the oldest run
+        async saveRun(raw, validateAction) {
+            const { macro, errors } = validateMacro(raw, validateAction);
+            if (!macro) return { macro: null, errors };
+
+            const previous = this.macros.find(candidate => candidate.source === 'run' && candidate.name === macro.name);
+            if (!previous && this.macros.length >= MAX_MACROS) {
+                const [oldest] = this.macros
+                    .filter(candidate => candidate.source === 'run')
+                    .sort((a, b) => a.updatedAt - b.updatedAt);
+                if (oldest) {
+                    this.macros = this.macros.filter(candidate => candidate !== oldest);
+                }
+            }
+
+            return this.save({ ...macro, id: previous?.id }, validateAction, 'run');
+        }
+
+        async delete(id) {
+            this.macros = this.macros.filter(macro => macro.id !== id);
+            await this.persist();
+        }
+    }
+
+    // Export for the service worker
+    self.MacroStore = MacroStore;
+    self.MacroStore.validateMacro = validateMacro;
+})();
@@ -0,0 +1,46 @@
+// Network Monitor - Reports the page's fetch and XHR requests as they start and finish
+// Runs in the page's own world (content scripts cannot see page requests) and talks to page-activity.js through DOM events
+
+(function() {
+    if (window.__aiNetworkMonitor) return;
+    window.__aiNetworkMonitor = true;
+
+    let nextId = 1;
+
+    // Strings cross between the page and content script worlds, objects do not
+    function report(phase, id) {
+        window.dispatchEvent(new window.CustomEvent('ai-network-activity', { detail: `${phase}:${id}` }));
+    }
+
+    const originalFetch = window.fetch;
+    if (typeof originalFetch === 'function') {
+        window.fetch = function(...args) {
+            const id = nextId++;
+            report('start', id);
+
+            let result;
+            try {
+                result = originalFetch.apply(this, args);
+            } catch (error) {
+                report('end', id);
+                throw error;
+            }
+            Promise.resolve(result).then(() => report('end', id), () => report('end', id));
+            return result;
+        };
+    }
+
+    const originalSend = window.XMLHttpRequest.prototype.send;
+    window.XMLHttpRequest.prototype.send = function(...args) {
+        const id = nextId++;
+        report('start', id);
+        this.addEventListener('loadend', () => report('end', id), { once: true });
+
+        try {
+            return originalSend.apply(this, args);
+        } catch (error) {
+            report('end', id);
+            throw error;
+        }
+    };
+})();
@@ -0,0 +1,155 @@
+// Page Activity - Tells when the page has settled after an action
+// DOM changes come from a MutationObserver, in-flight requests from network-monitor.js in the page world
+
+(function() {
+    if (self.PageActivity) return;
+
+    const CHECK_INTERVAL_MS = 100;
+
+    // Requests open longer than this are long-polling or streaming and never finish
+    const STALE_REQUEST_MS = 10000;
+
+    // request id -> start time, for the requests the page has in flight
+    const pendingRequests = new Map();
+
+    // Changes with every new document, so a reload on the same URL is still noticed
+    const pageId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    // Running count of page mutations, for before/after comparisons around an action
+    let mutationCount = 0;
+    const observedRoots = new WeakSet();
+    const mutationCounter = new MutationObserver(records => {
+        mutationCount += records.filter(record => !isOwnRecord(record)).length;
+    });
+
+    window.addEventListener('ai-network-activity', event => {
+        const [phase, id] = String(event.detail).split(':');
+        if (phase === 'start') {
+            pendingRequests.set(id, Date.now());
+        } else {
+            pendingRequests.delete(id);
+        }
+    });
+
+    function pendingRequestCount() {
+        const now = Date.now();
+        for (const [id, started] of pendingRequests) {
+            if (now - started > STALE_REQUEST_MS) pendingRequests.delete(id);
+        }
+        return pendingRequests.size;
+    }
+
+    // Our cursor, its styles, click ripples and mark overlays come and go on their own and do not count as page changes
+    const OWN_SELECTOR = '#ai-cursor, #ai-cursor-style, #ai-marks, .click-ripple';
+
+    function isOwnNode(node) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return Boolean(element?.closest(OWN_SELECTOR));
+    }
+
+    // Inserting or removing an overlay changes its parent (the body), so judge those by the nodes moved
+    function isOwnRecord(record) {
+        if (isOwnNode(record.target)) return true;
+        if (record.type !== 'childList') return false;
+
+        const nodes = [...record.addedNodes, ...record.removedNodes];
+        return nodes.length > 0 && nodes.every(isOwnNode);
+    }
+
+    // Shadow roots and frames appear over time, so pick up new ones whenever the count is read
+    function observeRoots() {
+        for (const root of self.DomTraversal.collectRoots(document)) {
+            if (observedRoots.has(root)) continue;
+            observedRoots.add(root);
+            mutationCounter.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+        }
+    }
+
+    // FNV-1a over every field's value, so typing and toggling show up without copying the values
+    function formSignature() {
+        let hash = 0x811c9dc5;
+        for (const field of self.DomTraversal.querySelectorAllDeep('input, select, textarea')) {
+            const value = ['checkbox', 'radio'].includes(field.type) ? String(field.checked) : field.value;
+            for (const char of `${value}\u0000`) {
+                hash ^= char.charCodeAt(0);
+                hash = Math.imul(hash, 0x01000193);
+            }
+        }
+        return hash >>> 0;
+    }
+
+    function focusedRef() {
+        const element = self.DomTraversal.deepActiveElement();
+        if (!element || element === element.ownerDocument.body) return null;
+        return self.PageSnapshot.refFor(element);
+    }
+
+    // What an action could observably change: document, DOM, focus, field values and scroll position
+    function captureState() {
+        observeRoots();
+        return {
+            pageId,
+            url: window.location.href,
+            mutations: mutationCount,
+            focus: focusedRef(),
+            form: formSignature(),
+            scroll: { x: Math.round(window.scrollX), y: Math.round(window.scrollY) }
+        };
+    }
+
+    // Resolves { stable, waited, pendingRequests } once the DOM has been quiet for quietMs with no
+    // requests in flight, or with stable false when the timeout comes first
+    function waitForStable({ quietMs = 500, timeout = 4000 } = {}) {
+        const started = Date.now();
+        let lastChange = started;
+
+        const observer = new MutationObserver(records => {
+            if (records.some(record => !isOwnRecord(record))) {
+                lastChange = Date.now();
+            }
+        });
+        for (const root of self.DomTraversal.collectRoots(document)) {
+            observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+        }
+
+        return new Promise(resolve => {
+            const check = () => {
+                const now = Date.now();
+                const pending = pendingRequestCount();
+                const stable = document.readyState !== 'loading' && now - lastChange >= quietMs && pending === 0;
+
+                if (stable || now - started >= timeout) {
+                    observer.disconnect();
+                    resolve({ stable, waited: now - started, pendingRequests: pending });
+                } else {
+                    setTimeout(check, CHECK_INTERVAL_MS);
+                }
+            };
+            setTimeout(check, CHECK_INTERVAL_MS);
+        });
+    }
+
+    // Resolves true as soon as check() holds, false after the timeout
+    function waitUntil(check, timeout, interval = 250) {
+        const started = Date.now();
+        return new Promise(resolve => {
+            const poll = () => {
+                if (check()) {
+                    resolve(true);
+                } else if (Date.now() - started >= timeout) {
+                    resolve(false);
+                } else {
+                    setTimeout(poll, interval);
+                }
+            };
+            poll();
+        });
+    }
+
+    self.PageActivity = {
+        pendingRequestCount,
+        captureState,
+        waitForStable,
+        waitUntil
+    };
+})();
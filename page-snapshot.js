@@ -0,0 +1,225 @@
+// Page Snapshot - Compact accessibility view of the interactive elements on the page
+// Every element keeps the same id for the life of the page so actions can point at it with "ref"
+
+(function() {
+    if (self.PageSnapshot) return;
+
+    const MAX_NODES = 200;
+    const MAX_NAME_LENGTH = 80;
+
+    const INTERACTIVE_SELECTOR = [
+        'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+        '[contenteditable=""]', '[contenteditable="true"]', '[tabindex]:not([tabindex="-1"])', '[onclick]',
+        '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]',
+        '[role="tab"]', '[role="menuitem"]', '[role="menuitemcheckbox"]', '[role="menuitemradio"]',
+        '[role="option"]', '[role="combobox"]', '[role="textbox"]', '[role="searchbox"]',
+        '[role="slider"]', '[role="spinbutton"]', '[role="treeitem"]'
+    ].join(', ');
+
+    const INPUT_ROLES = {
+        button: 'button',
+        submit: 'button',
+        reset: 'button',
+        image: 'button',
+        checkbox: 'checkbox',
+        radio: 'radio',
+        range: 'slider',
+        number: 'spinbutton',
+        search: 'searchbox',
+        file: 'button'
+    };
+
+    // Ids are never reused, so a ref from an earlier turn either still means the same element or fails
+    const idsByElement = new WeakMap();
+    const elementsById = new Map();
+    let nextId = 1;
+
+    function idFor(element) {
+        let id = idsByElement.get(element);
+        if (!id) {
+            id = `e${nextId++}`;
+            idsByElement.set(element, id);
+            elementsById.set(id, new WeakRef(element));
+        }
+        return id;
+    }
+
+    function resolve(ref) {
+        const element = elementsById.get(String(ref))?.deref();
+        return element && element.isConnected ? element : null;
+    }
+
+    function roleOf(element) {
+        const explicit = element.getAttribute('role');
+        if (explicit) return explicit.split(/\s+/)[0];
+
+        switch (element.tagName) {
+            case 'A':
+                return 'link';
+            case 'BUTTON':
+            case 'SUMMARY':
+                return 'button';
+            case 'SELECT':
+                return element.multiple ? 'listbox' : 'combobox';
+            case 'TEXTAREA':
+                return 'textbox';
+            case 'INPUT':
+                return INPUT_ROLES[element.type] || 'textbox';
+            default:
+                return element.isContentEditable ? 'textbox' : 'generic';
+        }
+    }
+
+    function textOf(element) {
+        return (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // Simplified accessible name computation: labelledby, aria-label, <label>, then content and hints
+    function nameOf(element) {
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            const text = labelledBy.split(/\s+/)
+                .map(id => element.getRootNode().getElementById(id))
+                .filter(Boolean)
+                .map(textOf)
+                .join(' ')
+                .trim();
+            if (text) return text;
+        }
+
+        const ariaLabel = element.getAttribute('aria-label')?.trim();
+        if (ariaLabel) return ariaLabel;
+
+        if (element.labels?.length) {
+            const text = Array.from(element.labels).map(textOf).join(' ').trim();
+            if (text) return text;
+        }
+
+        if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+            return element.value || (element.type === 'submit' ? 'Submit' : '');
+        }
+
+        if (element.tagName === 'INPUT' && element.type === 'image') {
+            return element.alt || element.title || '';
+        }
+
+        if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) && !element.isContentEditable) {
+            const text = textOf(element);
+            if (text) return text;
+
+            const img = element.querySelector('img[alt], svg title');
+            const alt = img?.getAttribute('alt') || img?.textContent;
+            if (alt?.trim()) return alt.trim();
+        }
+
+        return element.getAttribute('title') || element.getAttribute('placeholder') || '';
+    }
+
+    function valueOf(element) {
+        if (element.tagName === 'SELECT') {
+            return Array.from(element.selectedOptions).map(option => option.text.trim()).join(', ');
+        }
+        if (element.tagName === 'TEXTAREA' || (element.tagName === 'INPUT' && roleOf(element) !== 'button')) {
+            if (['checkbox', 'radio'].includes(element.type)) return '';
+            // Never copy typed passwords into the prompt
+            if (element.type === 'password') return element.value ? '••••' : '';
+            return element.value;
+        }
+        if (element.isContentEditable) {
+            return textOf(element);
+        }
+        return element.getAttribute('aria-valuenow') || '';
+    }
+
+    function statesOf(element, rect) {
+        const states = [];
+        const aria = name => element.getAttribute(`aria-${name}`);
+
+        if (element.disabled || aria('disabled') === 'true') states.push('disabled');
+        if (element.checked || aria('checked') === 'true') states.push('checked');
+        if (aria('checked') === 'mixed') states.push('mixed');
+        if (aria('selected') === 'true') states.push('selected');
+        if (aria('pressed') === 'true') states.push('pressed');
+        if (aria('expanded') === 'true') states.push('expanded');
+        if (aria('expanded') === 'false') states.push('collapsed');
+        if (element.required || aria('required') === 'true') states.push('required');
+        if (element.readOnly || aria('readonly') === 'true') states.push('readonly');
+        if (element.getAttribute('aria-invalid') === 'true') states.push('invalid');
+        if (element === self.DomTraversal.deepActiveElement()) states.push('focused');
+        if (rect.bottom < 0 || rect.top > window.innerHeight || rect.right < 0 || rect.left > window.innerWidth) {
+            states.push('offscreen');
+        }
+
+        return states;
+    }
+
+    function isRendered(element, rect) {
+        if (rect.width === 0 || rect.height === 0) return false;
+        if (element.closest('[aria-hidden="true"], [inert]')) return false;
+
+        const style = element.ownerDocument.defaultView.getComputedStyle(element);
+        return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+    }
+
+    // Returns [{ id, role, name, value, states, box }] in document order, on-screen elements first
+    // Open shadow roots and same-origin iframes are included; boxes are in top-level viewport coordinates
+    function capture(maxNodes = MAX_NODES) {
+        if (!document.body) return [];
+
+        const nodes = [];
+        for (const element of self.DomTraversal.querySelectorAllDeep(INTERACTIVE_SELECTOR)) {
+            // Skip our own cursor and overlays
+            if (element.closest('#ai-cursor, #ai-marks')) continue;
+
+            const rect = self.DomTraversal.getViewportRect(element);
+            if (!isRendered(element, rect)) continue;
+
+            // A link wrapping a button is one target, not two
+            const parent = element.parentElement?.closest(INTERACTIVE_SELECTOR);
+            if (parent && textOf(parent) === textOf(element) && !['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) continue;
+
+            nodes.push({
+                id: idFor(element),
+                role: roleOf(element),
+                name: nameOf(element).replace(/\s+/g, ' ').trim().substring(0, MAX_NAME_LENGTH),
+                value: String(valueOf(element) || '').substring(0, MAX_NAME_LENGTH),
+                states: statesOf(element, rect),
+                box: {
+                    x: Math.round(rect.left),
+                    y: Math.round(rect.top),
+                    width: Math.round(rect.width),
+                    height: Math.round(rect.height)
+                }
+            });
+        }
+
+        const onScreen = nodes.filter(node => !node.states.includes('offscreen'));
+        const offScreen = nodes.filter(node => node.states.includes('offscreen'));
+        return [...onScreen, ...offScreen].slice(0, maxNodes);
+    }
+
+    // One line per element: e12 #3 button "Sign in" = "value" [disabled] @120,340 80x32
+    // marks maps snapshot ids to the numbers drawn on the last screenshot
+    function format(nodes, marks = new Map()) {
+        return nodes.map(node => {
+            const parts = [node.id];
+            if (marks.has(node.id)) parts.push(`#${marks.get(node.id)}`);
+            parts.push(node.role, JSON.stringify(node.name));
+            if (node.value) parts.push(`= ${JSON.stringify(node.value)}`);
+            if (node.states.length) parts.push(`[${node.states.join(', ')}]`);
+            parts.push(`@${node.box.x},${node.box.y} ${node.box.width}x${node.box.height}`);
+            return parts.join(' ');
+        }).join('\n');
+    }
+
+    self.PageSnapshot = {
+        INTERACTIVE_SELECTOR,
+        capture,
+        format,
+        resolve,
+        refFor: idFor,
+        roleOf,
+        nameOf,
+        isRendered
+    };
+})();
@@ -0,0 +1,99 @@
+// Prompt Guard - Keeps page-derived content from being mistaken for instructions
+// Fences untrusted text, flags instruction-like page content and spots actions that follow it
+
+(function() {
+    const FENCE_TAG = 'untrusted_page_content';
+
+    const INJECTION_PATTERNS = [
+        { name: 'override', regex: /\b(ignore|disregard|forget|override)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|your)\b[^.\n]{0,20}\b(instructions?|prompts?|rules|directions|task)\b/i },
+        { name: 'role change', regex: /\b(you are now|act as an?|pretend to be|from now on,? you)\b/i },
+        { name: 'system prompt', regex: /\b(system prompt|system message|developer mode|jailbreak)\b/i },
+        { name: 'addresses the AI', regex: /\b(ai|assistant|agent|bot|llm|language model|gpt|gemini)\b[^.\n]{0,30}\b(must|should|needs? to|is instructed to|are instructed to)\b/i },
+        { name: 'new instructions', regex: /\b(new|updated|important|urgent|hidden)\s+(instructions?|tasks?|directives?)\b/i },
+        { name: 'credential request', regex: /\b(send|post|submit|enter|type|paste|share)\b[^.\n]{0,40}\b(password|credentials?|api key|token|credit card|cookies?|2fa|one-time code)\b/i },
+        { name: 'embedded action', regex: /"action"\s*:\s*\{\s*"type"/i }
+    ];
+
+    const MAX_FINDINGS = 5;
+
+    // Returns [{ pattern, snippet }] for instruction-like text
+    function scanText(text) {
+        const findings = [];
+        const seen = new Set();
+        if (!text) return findings;
+
+        for (const { name, regex } of INJECTION_PATTERNS) {
+            const global = new RegExp(regex.source, 'gi');
+            let match;
+            while ((match = global.exec(text)) !== null && findings.length < MAX_FINDINGS) {
+                const start = Math.max(0, match.index - 60);
+                const end = Math.min(text.length, match.index + match[0].length + 100);
+                const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+
+                if (!seen.has(snippet)) {
+                    seen.add(snippet);
+                    findings.push({ pattern: name, snippet });
+                }
+            }
+        }
+
+        return findings;
+    }
+
+    // Page text must not be able to close the fence and speak as the user
+    function sanitize(text) {
+        return String(text ?? '').replace(new RegExp(`</?\\s*${FENCE_TAG}[^>]*>`, 'gi'), '[removed tag]');
+    }
+
+    function fence(source, text) {
+        return `<${FENCE_TAG} source="${source}">\n${sanitize(text)}\n</${FENCE_TAG}>`;
+    }
+
+    function collectValues(action) {
+        const values = [action.url, action.text, action.selector];
+        if (action.data && typeof action.data === 'object') {
+            values.push(...Object.values(action.data));
+        }
+        return values.filter(value => typeof value === 'string' && value.trim().length >= 4);
+    }
+
+    function hostOf(value) {
+        try {
+            return new URL(value).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Does the action reuse something the flagged page text asked for, that the user never mentioned?
+    function followsPageText(action, findings, task) {
+        if (!action || !findings?.length) return null;
+
+        const taskLower = String(task || '').toLowerCase();
+        for (const value of collectValues(action)) {
+            const candidates = [value.toLowerCase()];
+            const host = hostOf(value);
+            if (host) candidates.push(host.toLowerCase());
+
+            // The user asked for it, so it is not the page talking
+            if (candidates.some(candidate => taskLower.includes(candidate))) continue;
+
+            for (const candidate of candidates) {
+                const finding = findings.find(f => f.snippet.toLowerCase().includes(candidate));
+                if (finding) {
+                    return { value, snippet: finding.snippet, pattern: finding.pattern };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Export for the service worker
+    self.PromptGuard = {
+        FENCE_TAG,
+        scanText,
+        fence,
+        followsPageText
+    };
+})();
@@ -0,0 +1,384 @@
+// Script Exporter - Turns a session's actions or a saved macro into a Playwright or Puppeteer script
+// Locators become the framework's own auto-waiting locators; vault placeholders become environment variables
+
+(function() {
+    // Same step as the controller's scroll action
+    const SCROLL_PIXELS = 500;
+    const DEFAULT_WAIT_MS = 2000;
+    const DEFAULT_WAIT_FOR_MS = 10000;
+
+    const PLACEHOLDER_PATTERN = /\{\{\s*vault\.([\w-]+)\.(username|password|totp)\s*\}\}/g;
+
+    // Closest CSS for the controller's field type detection
+    const FIELD_SELECTORS = {
+        email: 'input[type="email"], input[name*="email" i]',
+        password: 'input[type="password"]',
+        search: 'input[type="search"], input[name="q"]',
+        phone: 'input[type="tel"]'
+    };
+
+    // The controller presses Enter itself after typing into a search field
+    const AUTO_SUBMIT_PATTERN = /type=["']?search|name=["']?q["'\]]/i;
+
+    // Read-only steps with nothing to reproduce
+    const IGNORED_TYPES = ['analyze_form'];
+
+    function literal(value) {
+        return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\r?\n/g, '\\n')}'`;
+    }
+
+    function envName(key, field) {
+        return `VAULT_${key}_${field}`.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    }
+
+    // Text as a JS expression, with each vault placeholder read from the environment
+    function valueExpression(text, env) {
+        const parts = [];
+        let last = 0;
+        for (const match of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+            if (match.index > last) parts.push(literal(text.slice(last, match.index)));
+            const name = envName(match[1], match[2]);
+            env.add(name);
+            parts.push(`process.env.${name}`);
+            last = match.index + match[0].length;
+        }
+        if (last < text.length || !parts.length) parts.push(literal(text.slice(last)));
+        return parts.join(' + ');
+    }
+
+    // Selectors are CSS or visible text, as in the element resolver; text rarely looks like CSS
+    function isCssSelector(selector) {
+        return /^(?:[#.][\w-]|\[|\*)/.test(selector) ||
+            /\[[\w-]+[*^$|~]?=[^\]]*\]/.test(selector) ||
+            /^[a-z][\w-]*(?:[#.:][\w-]|\s*>\s*\S)/i.test(selector);
+    }
+
+    // { css } / { text, role } for a step, or { error } when it can only run in the live session
+    function targetOf(step, aliases) {
+        if (step.ref) return { error: `snapshot ref "${step.ref}" only exists in the live session` };
+        if (step.mark) return { error: `screenshot mark #${step.mark} only exists in the live session` };
+        if (step.selector) {
+            const selector = step.selector.trim();
+            if (selector.startsWith('@')) {
+                const [css] = aliases[selector.slice(1).toLowerCase()] || [];
+                return css ? { css } : { error: `site adapter alias "${selector}" is not defined for the start page` };
+            }
+            if (isCssSelector(selector)) return { css: selector };
+            return { text: selector, role: step.role || null };
+        }
+        if (step.fieldType) {
+            return { css: FIELD_SELECTORS[step.fieldType] || `input[name*="${step.fieldType}" i], input[id*="${step.fieldType}" i]`, first: true };
+        }
+        return null;
+    }
+
+    function keyParts(key) {
+        return key.length > 1 ? key.split(/\+(?=.)/) : [key];
+    }
+
+    const DIALECTS = {
+        playwright: {
+            label: 'Playwright',
+            extension: '.spec.js',
+            locator(target) {
+                if (target.css) return `page.locator(${literal(target.css)})${target.first ? '.first()' : ''}`;
+                if (target.role) return `page.getByRole(${literal(target.role)}, { name: ${literal(target.text)} })`;
+                return `page.getByText(${literal(target.text)}).first()`;
+            },
+            goto: url => [`await page.goto(${url});`],
+            settle: () => ['await page.waitForLoadState();'],
+            click: locator => [`await ${locator}.click();`],
+            hover: locator => [`await ${locator}.hover();`],
+            fill: (locator, value) => [`await ${locator}.fill(${value});`],
+            typeKeys: (locator, value) => [`await ${locator}.fill('');`, `await ${locator}.pressSequentially(${value});`],
+            append: (locator, value) => [`await ${locator}.pressSequentially(${value});`],
+            select: (locator, _target, value) => [`await ${locator}.selectOption({ label: ${value} });`],
+            typeFocused: value => [`await page.keyboard.type(${value});`],
+            press: (locator, key) => [locator ? `await ${locator}.press(${literal(key)});` : `await page.keyboard.press(${literal(key)});`],
+            sleep: ms => [`await page.waitForTimeout(${ms});`],
+            waitForTarget: (locator, _target, hidden, timeout) => [`await expect(${locator}).${hidden ? 'toBeHidden' : 'toBeVisible'}({ timeout: ${timeout} });`],
+            waitForUrl: (matcher, pattern, timeout) => [`await page.waitForURL(url => ${matcher('url.href', pattern)}, { timeout: ${timeout} });`],
+            mouse: {
+                click: (x, y) => [`await page.mouse.click(${x}, ${y});`],
+                double_click: (x, y) => [`await page.mouse.dblclick(${x}, ${y});`],
+                right_click: (x, y) => [`await page.mouse.click(${x}, ${y}, { button: 'right' });`],
+                hover_at: (x, y) => [`await page.mouse.move(${x}, ${y});`]
+            },
+            drag: step => [
+                `await page.mouse.move(${step.x}, ${step.y});`,
+                'await page.mouse.down();',
+                `await page.mouse.move(${step.toX}, ${step.toY}, { steps: 10 });`,
+                'await page.mouse.up();'
+            ],
+            switchTab(step, helpers) {
+                if (step.index !== undefined) return [`page = context.pages()[${step.index}];`, 'await page.bringToFront();'];
+                if (step.url) return [`page = context.pages().find(candidate => candidate.url().includes(${literal(step.url)}));`, 'await page.bringToFront();'];
+                if (step.title) {
+                    helpers.add('pageWithTitle');
+                    return [`page = await pageWithTitle(context.pages(), ${literal(step.title)});`, 'await page.bringToFront();'];
+                }
+                const offset = step.direction === 'previous' ? ' - 1 + context.pages().length' : ' + 1';
+                return [`page = context.pages()[(context.pages().indexOf(page)${offset}) % context.pages().length];`, 'await page.bringToFront();'];
+            },
+            newTab: () => ['page = await context.newPage();'],
+            closeTab: () => ['await page.close();', 'page = context.pages()[context.pages().length - 1];', 'await page.bringToFront();'],
+            wrap({ name, body, helpers }) {
+                return [
+                    "const { test, expect } = require('@playwright/test');",
+                    ...helpers,
+                    '',
+                    `test(${literal(name)}, async ({ page, context }) => {`,
+                    ...body.map(line => line ? `    ${line}` : line),
+                    '});'
+                ];
+            },
+            run: filename => `npx playwright test ${filename}`
+        },
+
+        puppeteer: {
+            label: 'Puppeteer',
+            extension: '.js',
+            // Puppeteer takes these as plain selector strings, with its own text and ARIA pseudo-elements
+            selector(target) {
+                if (target.css) return target.css;
+                if (target.role) return `::-p-aria([name=${JSON.stringify(target.text)}][role="${target.role}"])`;
+                return `::-p-text(${JSON.stringify(target.text)})`;
+            },
+            locator(target) {
+                return `page.locator(${literal(this.selector(target))})`;
+            },
+            goto: url => [`await page.goto(${url}, { waitUntil: 'networkidle2' });`],
+            settle: () => ['await page.waitForNetworkIdle({ idleTime: 500, timeout: 15000 }).catch(() => {});'],
+            click: locator => [`await ${locator}.click();`],
+            hover: locator => [`await ${locator}.hover();`],
+            fill: (locator, value) => [`await ${locator}.fill(${value});`],
+            typeKeys: (locator, value) => [`await ${locator}.fill('');`, `await ${locator}.click();`, `await page.keyboard.type(${value}, { delay: 50 });`],
+            append: (locator, value) => [`await ${locator}.click();`, `await page.keyboard.type(${value});`],
+            select(_locator, target, value) {
+                const selector = literal(this.selector(target));
+                return [
+                    `await page.waitForSelector(${selector});`,
+                    `await page.select(${selector}, await page.$eval(${selector}, (select, label) => [...select.options].find(option => option.text.trim() === label)?.value, ${value}));`
+                ];
+            },
+            typeFocused: value => [`await page.keyboard.type(${value});`],
+            press(locator, key, target) {
+                const lines = locator ? [`await page.focus(${literal(this.selector(target))});`] : [];
+                const parts = keyParts(key);
+                const modifiers = parts.slice(0, -1);
+                return [
+                    ...lines,
+                    ...modifiers.map(modifier => `await page.keyboard.down(${literal(modifier)});`),
+                    `await page.keyboard.press(${literal(parts[parts.length - 1])});`,
+                    ...modifiers.reverse().map(modifier => `await page.keyboard.up(${literal(modifier)});`)
+                ];
+            },
+            sleep: ms => [`await new Promise(resolve => setTimeout(resolve, ${ms}));`],
+            waitForTarget(_locator, target, hidden, timeout) {
+                return [`await page.waitForSelector(${literal(this.selector(target))}, { ${hidden ? 'hidden' : 'visible'}: true, timeout: ${timeout} });`];
+            },
+            // The pattern is passed into the page rather than written into the function
+            waitForUrl: (matcher, pattern, timeout) => [`await page.waitForFunction(pattern => ${matcher('location.href', 'pattern')}, { timeout: ${timeout} }, ${pattern});`],
+            mouse: {
+                click: (x, y) => [`await page.mouse.click(${x}, ${y});`],
+                double_click: (x, y) => [`await page.mouse.click(${x}, ${y}, { count: 2 });`],
+                right_click: (x, y) => [`await page.mouse.click(${x}, ${y}, { button: 'right' });`],
+                hover_at: (x, y) => [`await page.mouse.move(${x}, ${y});`]
+            },
+            drag: step => [
+                `await page.mouse.move(${step.x}, ${step.y});`,
+                'await page.mouse.down();',
+                `await page.mouse.move(${step.toX}, ${step.toY}, { steps: 10 });`,
+                'await page.mouse.up();'
+            ],
+            switchTab(step, helpers) {
+                if (step.index !== undefined) return [`page = (await browser.pages())[${step.index}];`, 'await page.bringToFront();'];
+                if (step.url) return [`page = (await browser.pages()).find(candidate => candidate.url().includes(${literal(step.url)}));`, 'await page.bringToFront();'];
+                if (step.title) {
+                    helpers.add('pageWithTitle');
+                    return [`page = await pageWithTitle(await browser.pages(), ${literal(step.title)});`, 'await page.bringToFront();'];
+                }
+                const offset = step.direction === 'previous' ? ' - 1 + pages.length' : ' + 1';
+                return [
+                    '{',
+                    '    const pages = await browser.pages();',
+                    `    page = pages[(pages.indexOf(page)${offset}) % pages.length];`,
+                    '}',
+                    'await page.bringToFront();'
+                ];
+            },
+            newTab: () => ['page = await browser.newPage();'],
+            closeTab: () => ['await page.close();', 'page = (await browser.pages()).pop();', 'await page.bringToFront();'],
+            wrap({ body, helpers }) {
+                return [
+                    "const puppeteer = require('puppeteer');",
+                    ...helpers,
+                    '',
+                    '(async () => {',
+                    '    const browser = await puppeteer.launch({ headless: false, defaultViewport: null });',
+                    '    let page = await browser.newPage();',
+                    '    try {',
+                    ...body.map(line => line ? `        ${line}` : line),
+                    '    } finally {',
+                    '        await browser.close();',
+                    '    }',
+                    '})();'
+                ];
+            },
+            run: filename => `node ${filename}`
+        }
+    };
+
+    const HELPERS = {
+        pageWithTitle: [
+            '',
+            '// First open tab whose title contains the text',
+            'async function pageWithTitle(pages, text) {',
+            '    for (const candidate of pages) {',
+            '        if ((await candidate.title()).toLowerCase().includes(text.toLowerCase())) return candidate;',
+            '    }',
+            "    throw new Error('No tab with a title containing ' + text);",
+            '}'
+        ]
+    };
+
+    function typeLines(dialect, step, target, env) {
+        const value = valueExpression(step.text, env);
+        if (!target) return dialect.typeFocused(value);
+
+        const locator = dialect.locator(target);
+        let lines;
+        if (target.css && /^select\b/i.test(target.css)) {
+            lines = dialect.select(locator, target, value);
+        } else if (step.mode === 'append') {
+            lines = dialect.append(locator, value);
+        } else if (step.typing === 'keystrokes') {
+            lines = dialect.typeKeys(locator, value);
+        } else {
+            lines = dialect.fill(locator, value);
+        }
+
+        if (step.fieldType === 'search' || (target.css && AUTO_SUBMIT_PATTERN.test(target.css))) {
+            lines = [...lines, ...dialect.press(locator, 'Enter', target), ...dialect.settle()];
+        }
+        return lines;
+    }
+
+    function waitForLines(dialect, step, aliases) {
+        const timeout = step.timeout ?? DEFAULT_WAIT_FOR_MS;
+        if (step.url) {
+            // Same matching as the engine: a glob when it has *, otherwise a substring
+            if (step.url.includes('*')) {
+                const { source } = self.SiteAdapters.compilePattern(step.url);
+                return dialect.waitForUrl((href, pattern) => `new RegExp(${pattern}, 'i').test(${href})`, literal(source), timeout);
+            }
+            return dialect.waitForUrl((href, pattern) => `${href}.toLowerCase().includes(${pattern})`, literal(step.url.toLowerCase()), timeout);
+        }
+
+        const target = step.selector ? targetOf(step, aliases) : { text: step.text, role: step.role || null };
+        if (target.error) return { error: target.error };
+        return dialect.waitForTarget(dialect.locator(target), target, step.state === 'hidden', timeout);
+    }
+
+    // Lines for one step, or { error } when it cannot be reproduced outside the extension
+    function stepLines(dialect, step, { aliases, env, helpers }) {
+        const target = ['click', 'hover', 'type', 'press_keys'].includes(step.type) ? targetOf(step, aliases) : null;
+        if (target?.error) return { error: target.error };
+
+        switch (step.type) {
+            case 'navigate':
+                return dialect.goto(literal(step.url));
+            case 'click':
+                return [...dialect.click(dialect.locator(target)), ...dialect.settle()];
+            case 'hover':
+                return dialect.hover(dialect.locator(target));
+            case 'type':
+                return typeLines(dialect, step, target, env);
+            case 'press_keys': {
+                const locator = target ? dialect.locator(target) : null;
+                return step.keys.flatMap(key => dialect.press(locator, key, target));
+            }
+            case 'press_enter':
+                return [...dialect.press(null, 'Enter'), ...dialect.settle()];
+            case 'scroll':
+                return [`await page.evaluate(() => window.scrollBy(0, ${step.direction === 'up' ? -SCROLL_PIXELS : SCROLL_PIXELS}));`];
+            case 'wait':
+                return dialect.sleep(step.duration ?? DEFAULT_WAIT_MS);
+            case 'wait_for':
+                return waitForLines(dialect, step, aliases);
+            case 'click_at':
+                return [...dialect.mouse.click(step.x, step.y), ...dialect.settle()];
+            case 'double_click':
+            case 'right_click':
+            case 'hover_at':
+                return dialect.mouse[step.type](step.x, step.y);
+            case 'drag':
+                return dialect.drag(step);
+            case 'switch_tab':
+                return dialect.switchTab(step, helpers);
+            case 'new_tab':
+                return [...dialect.newTab(), ...(step.url ? dialect.goto(literal(step.url)) : [])];
+            case 'close_tab':
+                return dialect.closeTab();
+            default:
+                return { error: `${step.type} has no ${dialect.label} equivalent` };
+        }
+    }
+
+    function fileName(name, extension) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 50);
+        return `${slug || 'session'}${extension}`;
+    }
+
+    // source is { name, startUrl, steps } with steps from a macro or actionHistory (failed entries are left out);
+    // aliases are the site adapter elements for the start page. Returns { script, filename, skipped }
+    function exportScript(source, format, { aliases = {} } = {}) {
+        const dialect = DIALECTS[format];
+        if (!dialect) {
+            throw new Error(`Unknown script format "${format}", use one of: ${Object.keys(DIALECTS).join(', ')}`);
+        }
+
+        const name = String(source.name || 'Recorded session').trim();
+        const steps = (source.steps || []).filter(step => step.success !== false && !IGNORED_TYPES.includes(step.type));
+        const state = { aliases, env: new Set(), helpers: new Set() };
+        const skipped = [];
+        const body = [];
+
+        if (source.startUrl && !['navigate', 'new_tab'].includes(steps[0]?.type)) {
+            body.push(...dialect.goto(literal(source.startUrl)));
+        }
+
+        steps.forEach((step, index) => {
+            const lines = stepLines(dialect, step, state);
+            if (lines.error) {
+                skipped.push(`Step ${index + 1} (${step.type}): ${lines.error}`);
+                body.push(`// Step ${index + 1} skipped, ${lines.error}: ${JSON.stringify(step)}`);
+            } else {
+                body.push(...lines);
+            }
+        });
+
+        const filename = fileName(name, dialect.extension);
+        const header = [
+            `// ${name}`,
+            `// Exported from AI Browser Automation: ${steps.length} step(s)${skipped.length ? `, ${skipped.length} skipped` : ''}`,
+            `// Run with: ${dialect.run(filename)}`
+        ];
+        if (state.env.size) {
+            header.push(`// Credentials are read from: ${[...state.env].join(', ')}`);
+        }
+        if (steps.some(step => ['click_at', 'double_click', 'right_click', 'hover_at', 'drag'].includes(step.type))) {
+            header.push('// Mouse coordinates are screenshot pixels from the session; check them against your viewport');
+        }
+
+        const helpers = [...state.helpers].flatMap(helper => HELPERS[helper]);
+        const script = [...header, ...dialect.wrap({ name, body, helpers })].join('\n') + '\n';
+        return { script, filename, skipped };
+    }
+
+    // Export for the service worker
+    self.ScriptExporter = {
+        FORMATS: Object.keys(DIALECTS),
+        exportScript
+    };
+})();
@@ -0,0 +1,134 @@
+// Selector Cache - Remembers which element each locator resolved to, per domain and page pattern
+// The content script reuses the fingerprints and heals them when the page changes slightly
+
+(function() {
+    const MAX_ENTRIES_PER_DOMAIN = 200;
+
+    function parseUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return /^https?:$/.test(parsed.protocol) ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function domainOf(url) {
+        return parseUrl(url)?.hostname.toLowerCase().replace(/^www\./, '') || null;
+    }
+
+    // Ids, hashes and tracking segments vary between visits: /orders/12345/items -> /orders/*/items
+    function isVariableSegment(segment) {
+        return /^\d+$/.test(segment) || /^(?=.*\d)[\w-]{8,}$/.test(segment) || segment.includes('=');
+    }
+
+    function pagePattern(url) {
+        const parsed = parseUrl(url);
+        if (!parsed) return null;
+
+        return parsed.pathname
+            .split('/')
+            .map(segment => isVariableSegment(segment) ? '*' : segment)
+            .join('/') || '/';
+    }
+
+    // The same text means different things with different role hints
+    function descriptorKey(selector, role = null) {
+        const text = String(selector || '').trim().toLowerCase();
+        return role ? `${role.toLowerCase()}:${text}` : text;
+    }
+
+    class SelectorCache {
+        constructor() {
+            this.domains = {};
+        }
+
+        async load() {
+            const { selectorCache } = await chrome.storage.local.get('selectorCache');
+            this.domains = selectorCache && typeof selectorCache === 'object' ? selectorCache : {};
+        }
+
+        async persist() {
+            await chrome.storage.local.set({ selectorCache: this.domains });
+        }
+
+        // Fingerprint remembered for a locator on this page, sent along with the action
+        lookup(url, descriptor) {
+            const domain = domainOf(url);
+            if (!domain || !descriptor) return null;
+            return this.domains[domain]?.[pagePattern(url)]?.[descriptor]?.fingerprint || null;
+        }
+
+        async record(url, { descriptor, fingerprint, healed = false }) {
+            const domain = domainOf(url);
+            const pattern = pagePattern(url);
+            if (!domain || !descriptor || !fingerprint) return;
+
+            const pages = this.domains[domain] || (this.domains[domain] = {});
+            const entries = pages[pattern] || (pages[pattern] = {});
+            const existing = entries[descriptor];
+
+            entries[descriptor] = {
+                fingerprint,
+                hits: (existing?.hits || 0) + 1,
+                heals: (existing?.heals || 0) + (healed ? 1 : 0),
+                lastUsed: Date.now()
+            };
+            if (healed) {
+                console.log(`🩹 Healed cached element "${descriptor}" on ${domain}${pattern}`);
+            }
+
+            this.prune(domain);
+            await this.persist();
+        }
+
+        // Drop the least recently used entries once a domain grows past the limit
+        prune(domain) {
+            const all = Object.entries(this.domains[domain]).flatMap(([pattern, entries]) =>
+                Object.entries(entries).map(([descriptor, entry]) => ({ pattern, descriptor, lastUsed: entry.lastUsed }))
+            );
+            if (all.length <= MAX_ENTRIES_PER_DOMAIN) return;
+
+            all.sort((a, b) => a.lastUsed - b.lastUsed);
+            for (const { pattern, descriptor } of all.slice(0, all.length - MAX_ENTRIES_PER_DOMAIN)) {
+                delete this.domains[domain][pattern][descriptor];
+                if (!Object.keys(this.domains[domain][pattern]).length) {
+                    delete this.domains[domain][pattern];
+                }
+            }
+        }
+
+        // Flat list for the side panel
+        describe() {
+            return Object.entries(this.domains).map(([domain, pages]) => ({
+                domain,
+                entries: Object.entries(pages).flatMap(([pattern, entries]) =>
+                    Object.entries(entries).map(([descriptor, entry]) => ({
+                        pattern,
+                        descriptor,
+                        tag: entry.fingerprint.tag,
+                        text: entry.fingerprint.text,
+                        hits: entry.hits,
+                        heals: entry.heals,
+                        lastUsed: entry.lastUsed
+                    }))
+                )
+            })).filter(domain => domain.entries.length);
+        }
+
+        // One domain, or everything when no domain is given
+        async clear(domain = null) {
+            if (domain) {
+                delete this.domains[domain];
+            } else {
+                this.domains = {};
+            }
+            await this.persist();
+        }
+    }
+
+    // Export for the service worker
+    self.SelectorCache = SelectorCache;
+    self.SelectorCache.descriptorKey = descriptorKey;
+    self.SelectorCache.pagePattern = pagePattern;
+})();
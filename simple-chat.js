@@ -2,19 +2,81 @@
 class ChatController {
     constructor() {
         this.isConnected = false;
+        this.isPaused = false;
         this.activeTabId = null;
         
         this.elements = {
             apiKey: document.getElementById('apiKey'),
             startBtn: document.getElementById('startBtn'),
             stopBtn: document.getElementById('stopBtn'),
+            pauseBtn: document.getElementById('pauseBtn'),
+            stepModeToggle: document.getElementById('stepModeToggle'),
+            markModeToggle: document.getElementById('markModeToggle'),
             statusIndicator: document.getElementById('statusIndicator'),
             statusText: document.getElementById('statusText'),
             chatContainer: document.getElementById('chatContainer'),
             messageInput: document.getElementById('messageInput'),
-            sendBtn: document.getElementById('sendBtn')
+            sendBtn: document.getElementById('sendBtn'),
+            providerSelect: document.getElementById('providerSelect'),
+            modelInput: document.getElementById('modelInput'),
+            baseUrlInput: document.getElementById('baseUrlInput'),
+            temperatureInput: document.getElementById('temperatureInput'),
+            topPInput: document.getElementById('topPInput'),
+            maxTokensInput: document.getElementById('maxTokensInput'),
+            maxStepsInput: document.getElementById('maxStepsInput'),
+            maxMinutesInput: document.getElementById('maxMinutesInput'),
+            loopThresholdInput: document.getElementById('loopThresholdInput'),
+            policyDefaults: document.getElementById('policyDefaults'),
+            policySitesInput: document.getElementById('policySitesInput'),
+            inputBackendSelect: document.getElementById('inputBackendSelect'),
+            inputSitesInput: document.getElementById('inputSitesInput'),
+            typingModeSelect: document.getElementById('typingModeSelect'),
+            keyDelayMinInput: document.getElementById('keyDelayMinInput'),
+            keyDelayMaxInput: document.getElementById('keyDelayMaxInput'),
+            siteAdaptersActive: document.getElementById('siteAdaptersActive'),
+            siteAdaptersInput: document.getElementById('siteAdaptersInput'),
+            selectorCache: document.getElementById('selectorCache'),
+            selectorCacheStatus: document.getElementById('selectorCacheStatus'),
+            selectorCacheEntries: document.getElementById('selectorCacheEntries'),
+            selectorCacheRefreshBtn: document.getElementById('selectorCacheRefreshBtn'),
+            selectorCacheClearBtn: document.getElementById('selectorCacheClearBtn'),
+            macroStatus: document.getElementById('macroStatus'),
+            macroNameInput: document.getElementById('macroNameInput'),
+            macroRecordBtn: document.getElementById('macroRecordBtn'),
+            macroEntries: document.getElementById('macroEntries'),
+            macroEditor: document.getElementById('macroEditor'),
+            macroEditorInput: document.getElementById('macroEditorInput'),
+            macroSaveBtn: document.getElementById('macroSaveBtn'),
+            macroCancelBtn: document.getElementById('macroCancelBtn'),
+            exportFormatSelect: document.getElementById('exportFormatSelect'),
+            exportSessionBtn: document.getElementById('exportSessionBtn'),
+            scopeModeSelect: document.getElementById('scopeModeSelect'),
+            allowlistInput: document.getElementById('allowlistInput'),
+            blocklistInput: document.getElementById('blocklistInput'),
+            schemesInput: document.getElementById('schemesInput'),
+            vaultStatus: document.getElementById('vaultStatus'),
+            vaultUnlockRow: document.getElementById('vaultUnlockRow'),
+            vaultPasswordInput: document.getElementById('vaultPasswordInput'),
+            vaultUnlockBtn: document.getElementById('vaultUnlockBtn'),
+            vaultUnlocked: document.getElementById('vaultUnlocked'),
+            vaultEntries: document.getElementById('vaultEntries'),
+            vaultKeyInput: document.getElementById('vaultKeyInput'),
+            vaultDomainInput: document.getElementById('vaultDomainInput'),
+            vaultUsernameInput: document.getElementById('vaultUsernameInput'),
+            vaultSecretInput: document.getElementById('vaultSecretInput'),
+            vaultTotpInput: document.getElementById('vaultTotpInput'),
+            vaultSaveBtn: document.getElementById('vaultSaveBtn'),
+            vaultLockBtn: document.getElementById('vaultLockBtn')
         };
         
+        this.providers = {};
+        this.llmSettings = null;
+        
+        // Macro recording state and the macro open in the editor
+        this.isRecording = false;
+        this.macros = [];
+        this.editingMacroId = null;
+        
         this.initialize();
     }
     
@@ -26,10 +88,66 @@ class ChatController {
             this.sendMessage('SET_API_KEY', { apiKey: result.geminiApiKey });
         }
         
+        await this.loadModelSettings();
+        await this.loadEngineState();
+        await this.loadPolicyRules();
+        await this.loadInputSettings();
+        await this.loadSiteAdapters();
+        await this.macroRequest('GET_MACROS');
+        await this.loadUrlScope();
+        await this.vaultRequest('VAULT_STATUS');
+        
         // Event listeners
         this.elements.apiKey.addEventListener('change', () => this.saveApiKey());
+        this.elements.providerSelect.addEventListener('change', () => {
+            // Model and base URL are provider-specific, start from the new provider's defaults
+            this.elements.modelInput.value = '';
+            this.elements.baseUrlInput.value = '';
+            this.saveModelSettings();
+        });
+        for (const input of ['modelInput', 'baseUrlInput', 'temperatureInput', 'topPInput', 'maxTokensInput']) {
+            this.elements[input].addEventListener('change', () => this.saveModelSettings());
+        }
+        for (const input of ['maxStepsInput', 'maxMinutesInput', 'loopThresholdInput']) {
+            this.elements[input].addEventListener('change', () => this.saveTaskLimits());
+        }
+        this.elements.policySitesInput.addEventListener('change', () => this.savePolicyRules());
+        this.elements.inputBackendSelect.addEventListener('change', () => this.saveInputSettings());
+        for (const input of ['inputSitesInput', 'typingModeSelect', 'keyDelayMinInput', 'keyDelayMaxInput']) {
+            this.elements[input].addEventListener('change', () => this.saveInputSettings());
+        }
+        this.elements.siteAdaptersInput.addEventListener('change', () => this.saveSiteAdapters());
+        this.elements.selectorCache.addEventListener('toggle', () => {
+            if (this.elements.selectorCache.open) {
+                this.selectorCacheRequest('GET_SELECTOR_CACHE');
+            }
+        });
+        this.elements.selectorCacheRefreshBtn.addEventListener('click', () => this.selectorCacheRequest('GET_SELECTOR_CACHE'));
+        this.elements.selectorCacheClearBtn.addEventListener('click', () => this.selectorCacheRequest('CLEAR_SELECTOR_CACHE'));
+        this.elements.macroRecordBtn.addEventListener('click', () => this.toggleRecording());
+        this.elements.macroSaveBtn.addEventListener('click', () => this.saveMacro());
+        this.elements.macroCancelBtn.addEventListener('click', () => this.closeMacroEditor());
+        this.elements.exportSessionBtn.addEventListener('click', () => this.exportScript());
+        for (const input of ['scopeModeSelect', 'allowlistInput', 'blocklistInput', 'schemesInput']) {
+            this.elements[input].addEventListener('change', () => this.saveUrlScope());
+        }
+        this.elements.vaultUnlockBtn.addEventListener('click', () => this.unlockVault());
+        this.elements.vaultPasswordInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.unlockVault();
+            }
+        });
+        this.elements.vaultSaveBtn.addEventListener('click', () => this.saveVaultEntry());
+        this.elements.vaultLockBtn.addEventListener('click', () => this.vaultRequest('VAULT_LOCK'));
         this.elements.startBtn.addEventListener('click', () => this.startStreaming());
         this.elements.stopBtn.addEventListener('click', () => this.stopStreaming());
+        this.elements.pauseBtn.addEventListener('click', () => this.togglePause());
+        this.elements.stepModeToggle.addEventListener('change', () => {
+            this.sendMessage('SET_STEP_MODE', { enabled: this.elements.stepModeToggle.checked });
+        });
+        this.elements.markModeToggle.addEventListener('change', () => {
+            this.sendMessage('SET_MARK_MODE', { enabled: this.elements.markModeToggle.checked });
+        });
         this.elements.sendBtn.addEventListener('click', () => this.sendChatMessage());
         this.elements.messageInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -54,27 +172,634 @@ class ChatController {
         }
     }
     
-    async startStreaming() {
-        const apiKey = this.elements.apiKey.value.trim();
-        if (!apiKey) {
-            this.addMessage('error', 'Please enter your Gemini API key first');
-            this.elements.apiKey.focus();
+    async loadModelSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'GET_LLM_SETTINGS', data: {} });
+            if (response?.success) {
+                this.providers = response.providers;
+                this.renderModelSettings(response.settings);
+            }
+        } catch (error) {
+            console.error('Failed to load model settings:', error);
+        }
+    }
+    
+    // Reflect a task the engine picked up from its checkpoint
+    async loadEngineState() {
+        try {
+            const state = await chrome.runtime.sendMessage({ action: 'GET_ENGINE_STATE', data: {} });
+            if (state?.success) {
+                this.renderTaskLimits(state.taskLimits);
+                this.elements.stepModeToggle.checked = state.stepMode;
+                this.elements.markModeToggle.checked = state.markMode;
+                if (state.recording) {
+                    this.setRecording(true, state.recording.steps);
+                }
+            }
+            if (state?.success && state.resumed && state.currentTask) {
+                this.showResumedTask(`♻️ Resumed task: ${state.currentTask} (${state.actionCount} actions so far)`);
+            }
+            if (state?.success && state.currentTask) {
+                this.setPaused(state.isPaused);
+            }
+            if (state?.pendingApproval) {
+                this.addApproval(state.pendingApproval.action, state.pendingApproval.reason);
+            }
+        } catch (error) {
+            console.error('Failed to load engine state:', error);
+        }
+    }
+    
+    renderTaskLimits(limits) {
+        this.elements.maxStepsInput.value = limits.maxSteps;
+        this.elements.maxMinutesInput.value = limits.maxDurationMinutes;
+        this.elements.loopThresholdInput.value = limits.loopThreshold;
+    }
+    
+    async saveTaskLimits() {
+        const limits = {
+            maxSteps: this.elements.maxStepsInput.value,
+            maxDurationMinutes: this.elements.maxMinutesInput.value,
+            loopThreshold: this.elements.loopThresholdInput.value
+        };
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'SET_TASK_LIMITS', data: limits });
+            if (response?.success) {
+                this.renderTaskLimits(response.taskLimits);
+            }
+        } catch (error) {
+            console.error('Failed to save task limits:', error);
+        }
+    }
+    
+    async loadPolicyRules() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'GET_POLICY_RULES', data: {} });
+            if (response?.success) {
+                this.renderPolicyRules(response.rules, response.categories);
+            }
+        } catch (error) {
+            console.error('Failed to load safety rules:', error);
+        }
+    }
+    
+    renderPolicyRules(rules, categories) {
+        this.policyCategories = categories || this.policyCategories;
+        this.elements.policyDefaults.innerHTML = '';
+        
+        for (const [category, label] of Object.entries(this.policyCategories)) {
+            const row = document.createElement('div');
+            row.className = 'settings-row';
+            
+            const labelEl = document.createElement('label');
+            labelEl.textContent = label;
+            labelEl.htmlFor = `policy-${category}`;
+            
+            const select = document.createElement('select');
+            select.id = `policy-${category}`;
+            select.dataset.category = category;
+            for (const decision of ['allow', 'confirm', 'block']) {
+                const option = document.createElement('option');
+                option.value = decision;
+                option.textContent = decision.charAt(0).toUpperCase() + decision.slice(1);
+                select.appendChild(option);
+            }
+            select.value = rules.defaults[category];
+            select.addEventListener('change', () => this.savePolicyRules());
+            
+            row.appendChild(labelEl);
+            row.appendChild(select);
+            this.elements.policyDefaults.appendChild(row);
+        }
+        
+        this.elements.policySitesInput.value = Object.keys(rules.sites).length ?
+            JSON.stringify(rules.sites, null, 2) :
+            '';
+    }
+    
+    async savePolicyRules() {
+        const defaults = {};
+        for (const select of this.elements.policyDefaults.querySelectorAll('select')) {
+            defaults[select.dataset.category] = select.value;
+        }
+        
+        let sites = {};
+        const sitesText = this.elements.policySitesInput.value.trim();
+        if (sitesText) {
+            try {
+                sites = JSON.parse(sitesText);
+            } catch (error) {
+                this.addMessage('error', `Site rules are not valid JSON: ${error.message}`);
+                return;
+            }
+        }
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'SET_POLICY_RULES', data: { defaults, sites } });
+            if (response?.success) {
+                this.renderPolicyRules(response.rules);
+                this.addMessage('system', 'Safety rules saved');
+            }
+        } catch (error) {
+            console.error('Failed to save safety rules:', error);
+        }
+    }
+    
+    async loadInputSettings() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'GET_INPUT_SETTINGS', data: {} });
+            if (response?.success) {
+                this.fillOptions(this.elements.inputBackendSelect, response.backends);
+                this.fillOptions(this.elements.typingModeSelect, response.typingModes);
+                this.renderInputSettings(response.settings);
+            }
+        } catch (error) {
+            console.error('Failed to load input settings:', error);
+        }
+    }
+    
+    fillOptions(select, labels) {
+        select.innerHTML = '';
+        for (const [value, label] of Object.entries(labels)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+    }
+    
+    renderInputSettings(settings) {
+        this.elements.inputBackendSelect.value = settings.defaultBackend;
+        this.elements.typingModeSelect.value = settings.typingMode;
+        this.elements.keyDelayMinInput.value = settings.keyDelayMin;
+        this.elements.keyDelayMaxInput.value = settings.keyDelayMax;
+        this.elements.inputSitesInput.value = Object.keys(settings.sites).length ?
+            JSON.stringify(settings.sites, null, 2) :
+            '';
+    }
+    
+    async saveInputSettings() {
+        let sites = {};
+        const sitesText = this.elements.inputSitesInput.value.trim();
+        if (sitesText) {
+            try {
+                sites = JSON.parse(sitesText);
+            } catch (error) {
+                this.addMessage('error', `Input backend sites are not valid JSON: ${error.message}`);
+                return;
+            }
+        }
+        
+        try {
+            // Trusted input needs the optional debugger permission; without it clicks stay synthetic
+            const backend = this.elements.inputBackendSelect.value;
+            if (backend === 'debugger' || Object.values(sites).includes('debugger')) {
+                const granted = await chrome.permissions.request({ permissions: ['debugger'] });
+                if (!granted) {
+                    this.addMessage('error', 'Debugger permission refused, synthetic events will be used instead');
+                }
+            }
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'SET_INPUT_SETTINGS',
+                data: {
+                    defaultBackend: backend,
+                    sites,
+                    typingMode: this.elements.typingModeSelect.value,
+                    keyDelayMin: this.elements.keyDelayMinInput.value,
+                    keyDelayMax: this.elements.keyDelayMaxInput.value
+                }
+            });
+            if (response?.success) {
+                this.renderInputSettings(response.settings);
+                this.addMessage('system', 'Input backend saved');
+            }
+        } catch (error) {
+            console.error('Failed to save input settings:', error);
+        }
+    }
+    
+    async loadSiteAdapters() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'GET_SITE_ADAPTERS', data: {} });
+            if (response?.success) {
+                this.elements.siteAdaptersInput.value = response.adapters.length ?
+                    JSON.stringify(response.adapters, null, 2) :
+                    '';
+                this.renderSiteAdapters(response.active);
+            }
+        } catch (error) {
+            console.error('Failed to load site adapters:', error);
+        }
+    }
+    
+    renderSiteAdapters(active) {
+        this.elements.siteAdaptersActive.textContent = active.length ?
+            `Active: ${active.map(adapter => `${adapter.name} (${adapter.source})`).join(', ')}` :
+            'No adapters loaded';
+    }
+    
+    async saveSiteAdapters() {
+        let adapters = [];
+        const adaptersText = this.elements.siteAdaptersInput.value.trim();
+        if (adaptersText) {
+            try {
+                adapters = JSON.parse(adaptersText);
+            } catch (error) {
+                this.addMessage('error', `Site adapters are not valid JSON: ${error.message}`);
+                return;
+            }
+        }
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'SET_SITE_ADAPTERS',
+                data: { adapters: Array.isArray(adapters) ? adapters : [adapters] }
+            });
+            if (response?.success) {
+                this.renderSiteAdapters(response.active);
+                this.addMessage('system', 'Site adapters saved');
+            } else {
+                this.addMessage('error', `Site adapters not saved: ${response?.error || 'unknown error'}`);
+            }
+        } catch (error) {
+            console.error('Failed to save site adapters:', error);
+        }
+    }
+    
+    async selectorCacheRequest(action, data = {}) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action, data });
+            if (response?.success) {
+                this.renderSelectorCache(response.domains);
+            }
+        } catch (error) {
+            console.error('Selector cache request failed:', error);
+        }
+    }
+    
+    renderSelectorCache(domains) {
+        const total = domains.reduce((count, domain) => count + domain.entries.length, 0);
+        this.elements.selectorCacheStatus.textContent = total ?
+            `${total} remembered element(s) on ${domains.length} site(s)` :
+            'Empty. Elements found by selector or text are remembered per site after successful actions.';
+        
+        this.elements.selectorCacheEntries.innerHTML = '';
+        for (const { domain, entries } of domains) {
+            const row = document.createElement('div');
+            row.className = 'cache-entry';
+            
+            const info = document.createElement('code');
+            info.textContent = `${domain}: ${entries.length} element(s)`;
+            // Hover for the details of each entry
+            info.title = entries
+                .map(entry => `${entry.pattern}  "${entry.descriptor}" → <${entry.tag}> ${entry.text} (used ${entry.hits}x, healed ${entry.heals}x)`)
+                .join('\n');
+            
+            const clear = document.createElement('button');
+            clear.className = 'btn btn-danger';
+            clear.textContent = 'Clear';
+            clear.addEventListener('click', () => this.selectorCacheRequest('CLEAR_SELECTOR_CACHE', { domain }));
+            
+            row.appendChild(info);
+            row.appendChild(clear);
+            this.elements.selectorCacheEntries.appendChild(row);
+        }
+    }
+    
+    async macroRequest(action, data = {}) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action, data });
+            if (!response?.success) {
+                this.addMessage('error', `Macros: ${response?.error || 'no response'}`);
+                return null;
+            }
+            if (response.macros) {
+                this.renderMacros(response.macros);
+            }
+            return response;
+        } catch (error) {
+            console.error('Macro request failed:', error);
+            return null;
+        }
+    }
+    
+    async toggleRecording() {
+        if (this.isRecording) {
+            this.setRecording(false);
+            await this.macroRequest('STOP_RECORDING');
             return;
         }
         
-        // Get current tab
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        this.activeTabId = tab.id;
+        const name = this.elements.macroNameInput.value.trim();
+        if (await this.macroRequest('START_RECORDING', { tabId: tab.id, name })) {
+            this.elements.macroNameInput.value = '';
+            this.setRecording(true);
+        }
+    }
+    
+    setRecording(recording, steps = 0) {
+        this.isRecording = recording;
+        this.elements.macroRecordBtn.textContent = recording ? 'Stop' : 'Record';
+        this.elements.macroRecordBtn.className = `btn ${recording ? 'btn-danger' : 'btn-primary'}`;
+        this.elements.macroNameInput.disabled = recording;
+        if (recording) {
+            this.elements.macroStatus.textContent = `Recording: ${steps} step(s) so far`;
+        } else {
+            this.renderMacros(this.macros);
+        }
+    }
+    
+    renderMacros(macros) {
+        this.macros = macros;
+        if (!this.isRecording) {
+            this.elements.macroStatus.textContent = macros.length ?
+                `${macros.length} macro(s)` :
+                'No macros yet. Record yourself doing a task once, or complete a task with the AI, to save it as a macro.';
+        }
         
-        // Update UI
+        this.elements.macroEntries.innerHTML = '';
+        for (const macro of macros) {
+            const row = document.createElement('div');
+            row.className = 'macro-entry';
+            
+            const info = document.createElement('code');
+            info.textContent = `${macro.name}: ${macro.steps.length} step(s)`;
+            // Hover for the steps
+            info.title = macro.steps.map((step, index) => `${index + 1}. ${JSON.stringify(step)}`).join('\n');
+            
+            const run = document.createElement('button');
+            run.className = 'btn btn-primary';
+            run.textContent = 'Run';
+            run.addEventListener('click', () => this.runMacro(macro));
+            
+            const edit = document.createElement('button');
+            edit.className = 'btn btn-secondary';
+            edit.textContent = 'Edit';
+            edit.addEventListener('click', () => this.openMacroEditor(macro));
+            
+            const exportButton = document.createElement('button');
+            exportButton.className = 'btn btn-secondary';
+            exportButton.textContent = 'Export';
+            exportButton.addEventListener('click', () => this.exportScript(macro.id));
+            
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-danger';
+            remove.textContent = 'Delete';
+            remove.addEventListener('click', () => this.macroRequest('DELETE_MACRO', { id: macro.id }));
+            
+            row.appendChild(info);
+            row.appendChild(run);
+            row.appendChild(edit);
+            row.appendChild(exportButton);
+            row.appendChild(remove);
+            this.elements.macroEntries.appendChild(row);
+        }
+    }
+    
+    // Replays in the current tab without the AI, which only steps in if a step fails
+    async runMacro(macro) {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        this.addMessage('system', `▶️ Running macro "${macro.name}" (${macro.steps.length} step(s))`);
+        this.setRunningUI(`Running macro "${macro.name}"`);
+        // Resolves when the replay is over; a refusal shows up as an error
+        if (!await this.macroRequest('REPLAY_MACRO', { tabId: tab.id, id: macro.id })) {
+            this.elements.statusText.textContent = 'Macro not started';
+        }
+    }
+    
+    // Without a macro id the engine exports the running or last task
+    async exportScript(macroId = null) {
+        const format = this.elements.exportFormatSelect.value;
+        const response = await this.macroRequest('EXPORT_SCRIPT', { format, macroId });
+        if (!response) return;
+        
+        const url = URL.createObjectURL(new Blob([response.script], { type: 'text/javascript' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = response.filename;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        this.addMessage('system', `📄 Exported ${response.filename}`);
+        for (const skipped of response.skipped) {
+            this.addMessage('error', `Not exported: ${skipped}`);
+        }
+    }
+    
+    openMacroEditor(macro) {
+        this.editingMacroId = macro.id;
+        const { name, description, startUrl, steps } = macro;
+        this.elements.macroEditorInput.value = JSON.stringify({ name, description, startUrl, steps }, null, 2);
+        this.elements.macroEditor.hidden = false;
+    }
+    
+    closeMacroEditor() {
+        this.editingMacroId = null;
+        this.elements.macroEditorInput.value = '';
+        this.elements.macroEditor.hidden = true;
+    }
+    
+    async saveMacro() {
+        let macro;
+        try {
+            macro = JSON.parse(this.elements.macroEditorInput.value);
+        } catch (error) {
+            this.addMessage('error', `Macro is not valid JSON: ${error.message}`);
+            return;
+        }
+        
+        const response = await this.macroRequest('SAVE_MACRO', { macro: { ...macro, id: this.editingMacroId } });
+        if (response) {
+            this.addMessage('system', `Macro "${response.macro.name}" saved`);
+            this.closeMacroEditor();
+        }
+    }
+    
+    async loadUrlScope() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'GET_URL_SCOPE', data: {} });
+            if (response?.success) {
+                this.renderUrlScope(response.scope);
+            }
+        } catch (error) {
+            console.error('Failed to load automation scope:', error);
+        }
+    }
+    
+    renderUrlScope(scope) {
+        this.elements.scopeModeSelect.value = scope.mode;
+        this.elements.allowlistInput.value = scope.allowlist.join('\n');
+        this.elements.blocklistInput.value = scope.blocklist.join('\n');
+        this.elements.schemesInput.value = scope.allowedSchemes.join(', ');
+    }
+    
+    async saveUrlScope() {
+        const scope = {
+            mode: this.elements.scopeModeSelect.value,
+            allowlist: this.elements.allowlistInput.value,
+            blocklist: this.elements.blocklistInput.value,
+            allowedSchemes: this.elements.schemesInput.value
+        };
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'SET_URL_SCOPE', data: scope });
+            if (response?.success) {
+                this.renderUrlScope(response.scope);
+            }
+        } catch (error) {
+            console.error('Failed to save automation scope:', error);
+        }
+    }
+    
+    // Every vault call answers with the current status, never with secret values
+    async vaultRequest(action, data = {}) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action, data });
+            if (!response?.success) {
+                this.addMessage('error', `Vault: ${response?.error || 'no response'}`);
+                return false;
+            }
+            this.renderVault(response.vault);
+            return true;
+        } catch (error) {
+            console.error('Vault request failed:', error);
+            return false;
+        }
+    }
+    
+    async unlockVault() {
+        const password = this.elements.vaultPasswordInput.value;
+        if (!password) return;
+        
+        await this.vaultRequest('VAULT_UNLOCK', { password });
+        this.elements.vaultPasswordInput.value = '';
+    }
+    
+    async saveVaultEntry() {
+        const entry = {
+            key: this.elements.vaultKeyInput.value.trim(),
+            domain: this.elements.vaultDomainInput.value.trim(),
+            username: this.elements.vaultUsernameInput.value.trim(),
+            password: this.elements.vaultSecretInput.value,
+            totp: this.elements.vaultTotpInput.value.trim()
+        };
+        
+        if (await this.vaultRequest('VAULT_SAVE_ENTRY', entry)) {
+            for (const input of ['vaultKeyInput', 'vaultDomainInput', 'vaultUsernameInput', 'vaultSecretInput', 'vaultTotpInput']) {
+                this.elements[input].value = '';
+            }
+            this.addMessage('system', `Saved credentials for ${entry.key}`);
+        }
+    }
+    
+    renderVault(vault) {
+        this.elements.vaultUnlockRow.hidden = vault.unlocked;
+        this.elements.vaultUnlocked.hidden = !vault.unlocked;
+        this.elements.vaultUnlockBtn.textContent = vault.exists ? 'Unlock' : 'Create';
+        this.elements.vaultStatus.textContent = !vault.exists ?
+            'No vault yet. Choose a master password to create one.' :
+            vault.unlocked ?
+                `Unlocked: ${vault.entries.length} site(s). The AI only sees placeholders.` :
+                'Locked';
+        
+        this.elements.vaultEntries.innerHTML = '';
+        for (const entry of vault.entries) {
+            const row = document.createElement('div');
+            row.className = 'vault-entry';
+            
+            const info = document.createElement('code');
+            info.textContent = `${entry.key} (${entry.domain}): ${entry.placeholders.join(' ')}`;
+            info.title = info.textContent;
+            
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-danger';
+            remove.textContent = 'Delete';
+            remove.addEventListener('click', () => this.vaultRequest('VAULT_DELETE_ENTRY', { key: entry.key }));
+            
+            row.appendChild(info);
+            row.appendChild(remove);
+            this.elements.vaultEntries.appendChild(row);
+        }
+    }
+    
+    showResumedTask(message) {
+        this.setRunningUI('Resumed task');
+        
+        const instructions = this.elements.chatContainer.querySelector('.instructions');
+        if (instructions) {
+            instructions.remove();
+        }
+        
+        this.addMessage('system', message);
+    }
+    
+    setRunningUI(statusText) {
         this.isConnected = true;
         this.elements.startBtn.disabled = true;
         this.elements.stopBtn.disabled = false;
+        this.elements.pauseBtn.disabled = false;
         this.elements.messageInput.disabled = false;
         this.elements.sendBtn.disabled = false;
         this.elements.statusIndicator.classList.remove('disconnected');
         this.elements.statusIndicator.classList.add('connected');
-        this.elements.statusText.textContent = 'Connecting...';
+        this.elements.statusText.textContent = statusText;
+    }
+    
+    renderModelSettings(settings) {
+        this.llmSettings = settings;
+        const defaults = this.providers[settings.provider] || {};
+        
+        this.elements.providerSelect.value = settings.provider;
+        this.elements.modelInput.value = settings.model === defaults.model ? '' : settings.model;
+        this.elements.modelInput.placeholder = defaults.model || 'Provider default';
+        this.elements.baseUrlInput.value = settings.baseUrl === defaults.baseUrl ? '' : settings.baseUrl;
+        this.elements.baseUrlInput.placeholder = defaults.baseUrl || 'Provider default';
+        this.elements.temperatureInput.value = settings.temperature;
+        this.elements.topPInput.value = settings.topP;
+        this.elements.maxTokensInput.value = settings.maxOutputTokens;
+        this.elements.apiKey.placeholder = defaults.requiresApiKey === false ?
+            'API key (optional for this provider)' :
+            'Enter your Gemini API key';
+    }
+    
+    async saveModelSettings() {
+        const settings = {
+            provider: this.elements.providerSelect.value,
+            model: this.elements.modelInput.value.trim(),
+            baseUrl: this.elements.baseUrlInput.value.trim(),
+            temperature: this.elements.temperatureInput.value,
+            topP: this.elements.topPInput.value,
+            maxOutputTokens: this.elements.maxTokensInput.value
+        };
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'SET_LLM_SETTINGS', data: settings });
+            if (response?.success) {
+                this.renderModelSettings(response.settings);
+            }
+        } catch (error) {
+            console.error('Failed to save model settings:', error);
+        }
+    }
+    
+    async startStreaming() {
+        const apiKey = this.elements.apiKey.value.trim();
+        const providerInfo = this.providers[this.llmSettings?.provider];
+        if (!apiKey && providerInfo?.requiresApiKey !== false) {
+            this.addMessage('error', 'Please enter your Gemini API key first');
+            this.elements.apiKey.focus();
+            return;
+        }
+        
+        // Get current tab
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        this.activeTabId = tab.id;
+        
+        // Update UI
+        this.setRunningUI('Connecting...');
         
         // Clear instructions and add start message
         const instructions = this.elements.chatContainer.querySelector('.instructions');
@@ -91,10 +816,81 @@ class ChatController {
         });
     }
     
+    togglePause() {
+        this.sendMessage(this.isPaused ? 'RESUME_AUTOMATION' : 'PAUSE_AUTOMATION');
+    }
+    
+    setPaused(paused) {
+        this.isPaused = paused;
+        this.elements.pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+    }
+    
+    // Approval card for an action waiting in step mode
+    addApproval(action, reason) {
+        const card = document.createElement('div');
+        
+        const title = document.createElement('div');
+        title.textContent = `${reason}: next action is "${action.type}"`;
+        
+        const editor = document.createElement('textarea');
+        editor.className = 'approval-action';
+        editor.rows = 4;
+        editor.value = JSON.stringify(action, null, 2);
+        
+        const error = document.createElement('div');
+        error.className = 'approval-error';
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'approval-buttons';
+        
+        const decide = async (decision) => {
+            const data = { decision };
+            if (decision === 'edit') {
+                try {
+                    data.action = JSON.parse(editor.value);
+                } catch (parseError) {
+                    error.textContent = `Invalid JSON: ${parseError.message}`;
+                    return;
+                }
+            }
+            
+            const response = await chrome.runtime.sendMessage({ action: 'APPROVE_ACTION', data }).catch(() => null);
+            if (!response?.success) {
+                error.textContent = response?.error || 'Could not reach the automation engine';
+                return;
+            }
+            
+            error.textContent = '';
+            editor.disabled = true;
+            buttons.querySelectorAll('button').forEach(button => { button.disabled = true; });
+            title.textContent += decision === 'skip' ? ' - skipped' : ' - approved';
+        };
+        
+        for (const [decision, label, style] of [
+            ['approve', 'Approve', 'btn-primary'],
+            ['edit', 'Run edited', 'btn-secondary'],
+            ['skip', 'Skip', 'btn-danger']
+        ]) {
+            const button = document.createElement('button');
+            button.className = `btn ${style}`;
+            button.textContent = label;
+            button.addEventListener('click', () => decide(decision));
+            buttons.appendChild(button);
+        }
+        
+        card.appendChild(title);
+        card.appendChild(editor);
+        card.appendChild(buttons);
+        card.appendChild(error);
+        this.addMessage('approval', card);
+    }
+    
     stopStreaming() {
         this.isConnected = false;
+        this.setPaused(false);
         this.elements.startBtn.disabled = false;
         this.elements.stopBtn.disabled = true;
+        this.elements.pauseBtn.disabled = true;
         this.elements.messageInput.disabled = true;
         this.elements.sendBtn.disabled = true;
         this.elements.statusIndicator.classList.remove('connected');
@@ -134,10 +930,41 @@ class ChatController {
                 this.addMessage('assistant', data.message);
                 break;
                 
+            case 'resumed':
+                this.showResumedTask(data.message);
+                break;
+                
+            case 'paused':
+                this.setPaused(true);
+                this.addMessage('system', data.message);
+                break;
+                
+            case 'unpaused':
+                this.setPaused(false);
+                this.addMessage('system', data.message);
+                break;
+                
+            case 'approval':
+                this.addApproval(data.action, data.reason);
+                break;
+                
             case 'action':
                 this.addMessage('action', `⚡ ${data.message}`);
                 break;
                 
+            case 'recording':
+                this.addMessage('action', data.message);
+                this.setRecording(data.active, data.steps);
+                if (!data.active) {
+                    this.macroRequest('GET_MACROS');
+                }
+                break;
+                
+            case 'macros':
+                this.addMessage('system', data.message);
+                this.macroRequest('GET_MACROS');
+                break;
+                
             case 'success':
                 this.addMessage('success', data.message);
                 break;
@@ -166,13 +993,18 @@ class ChatController {
             action: '⚡',
             error: '❌',
             system: 'ℹ️',
-            success: '✅'
+            success: '✅',
+            approval: '✋'
         };
         avatar.textContent = avatars[type] || '💬';
         
         const messageContent = document.createElement('div');
         messageContent.className = 'message-content';
-        messageContent.textContent = content;
+        if (content instanceof Node) {
+            messageContent.appendChild(content);
+        } else {
+            messageContent.textContent = content;
+        }
         
         message.appendChild(avatar);
         message.appendChild(messageContent);
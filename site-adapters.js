@@ -0,0 +1,202 @@
+// Site Adapters - Per-site element aliases, custom actions and prompt hints
+// Bundled adapters ship as JSON in adapters/; users add their own JSON from the side panel
+
+(function() {
+    const BUNDLED_FILES = ['adapters/google.json', 'adapters/amazon.json'];
+
+    const PARAM_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+    function asList(value) {
+        return (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string' && item.trim());
+    }
+
+    function normalizeAlias(name) {
+        return String(name || '').trim().replace(/^@/, '').toLowerCase();
+    }
+
+    // "*://*.example.com/*" style globs over the whole URL; wait_for and exported scripts match URLs the same way
+    function compilePattern(pattern) {
+        const source = pattern.trim().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    // Returns { adapter, errors } with the adapter normalized, or errors saying what to fix
+    function validateAdapter(raw, validateAction) {
+        const errors = [];
+        const label = raw?.name ? `Adapter "${raw.name}"` : 'Adapter';
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { adapter: null, errors: ['Each adapter must be a JSON object'] };
+        }
+        if (!/^[\w-]+$/.test(raw.name || '')) {
+            errors.push(`${label}: "name" may only contain letters, digits, - and _`);
+        }
+
+        const urlPatterns = asList(raw.urlPatterns);
+        if (!urlPatterns.length) {
+            errors.push(`${label}: "urlPatterns" needs at least one pattern like "*://*.example.com/*"`);
+        }
+
+        const elements = {};
+        for (const [alias, selectors] of Object.entries(raw.elements || {})) {
+            const list = asList(selectors);
+            if (!list.length) {
+                errors.push(`${label}: element "${alias}" needs a selector or a list of selectors`);
+                continue;
+            }
+            elements[normalizeAlias(alias)] = list;
+        }
+
+        const actions = {};
+        for (const [name, definition] of Object.entries(raw.actions || {})) {
+            const steps = Array.isArray(definition?.steps) ? definition.steps : [];
+            if (!/^[\w-]+$/.test(name) || !steps.length) {
+                errors.push(`${label}: action "${name}" needs a simple name and a non-empty "steps" list`);
+                continue;
+            }
+
+            const params = asList(definition.params || []);
+            steps.forEach((step, index) => {
+                if (step?.type === 'site_action') {
+                    errors.push(`${label}: action "${name}" step ${index + 1} cannot run another site action`);
+                    return;
+                }
+                const result = validateAction(step);
+                if (!result.valid) {
+                    errors.push(`${label}: action "${name}" step ${index + 1}: ${result.errors[0]}`);
+                }
+                // Vault placeholders contain dots and are left alone
+                for (const [, param] of JSON.stringify(step).matchAll(PARAM_PATTERN)) {
+                    if (!params.includes(param)) {
+                        errors.push(`${label}: action "${name}" uses {{${param}}} but does not list it in "params"`);
+                    }
+                }
+            });
+
+            actions[name] = { description: String(definition.description || ''), params, steps };
+        }
+
+        return {
+            adapter: errors.length ? null : {
+                name: raw.name,
+                description: String(raw.description || ''),
+                urlPatterns,
+                elements,
+                actions,
+                hints: asList(raw.hints || [])
+            },
+            errors
+        };
+    }
+
+    // User adapters come first so they win over a bundled adapter with the same name
+    function resolveAdapters(userAdapters = [], bundledAdapters = [], validateAction) {
+        const adapters = [];
+        const errors = [];
+        const seen = new Set();
+
+        for (const [source, list] of [['custom', userAdapters], ['bundled', bundledAdapters]]) {
+            for (const raw of Array.isArray(list) ? list : []) {
+                const result = validateAdapter(raw, validateAction);
+                errors.push(...result.errors);
+                if (!result.adapter || seen.has(result.adapter.name)) continue;
+
+                seen.add(result.adapter.name);
+                adapters.push({ ...result.adapter, source });
+            }
+        }
+
+        return { adapters, errors };
+    }
+
+    async function loadBundled(getUrl) {
+        const adapters = [];
+        for (const file of BUNDLED_FILES) {
+            try {
+                const response = await fetch(getUrl(file));
+                adapters.push(await response.json());
+            } catch (error) {
+                console.error(`Failed to load site adapter ${file}:`, error);
+            }
+        }
+        return adapters;
+    }
+
+    function adaptersFor(url, adapters) {
+        return adapters.filter(adapter => adapter.urlPatterns.some(pattern => compilePattern(pattern).test(url || '')));
+    }
+
+    // alias -> selectors across the matching adapters, the first adapter wins a shared alias
+    function elementsFor(adapters) {
+        const elements = {};
+        for (const adapter of adapters) {
+            for (const [alias, selectors] of Object.entries(adapter.elements)) {
+                if (!elements[alias]) elements[alias] = selectors;
+            }
+        }
+        return elements;
+    }
+
+    // A site action's steps with {{param}} filled in; "name" may be "search" or "google.search"
+    function expandAction(action, adapters) {
+        const [prefix, bare] = action.name.includes('.') ? action.name.split('.', 2) : [null, action.name];
+        const adapter = adapters.find(candidate => (!prefix || candidate.name === prefix) && candidate.actions[bare]);
+        if (!adapter) {
+            const available = adapters.flatMap(candidate => Object.keys(candidate.actions).map(name => `${candidate.name}.${name}`));
+            return { steps: null, error: `No site action "${action.name}" on this page. Available: ${available.join(', ') || 'none'}` };
+        }
+
+        const definition = adapter.actions[bare];
+        const params = action.params || {};
+        const missing = definition.params.filter(param => params[param] === undefined);
+        if (missing.length) {
+            return { steps: null, error: `Site action "${adapter.name}.${bare}" needs params: ${missing.join(', ')}` };
+        }
+
+        const fill = value => {
+            if (typeof value === 'string') {
+                return value.replace(PARAM_PATTERN, (placeholder, name) => params[name] !== undefined ? String(params[name]) : placeholder);
+            }
+            if (Array.isArray(value)) return value.map(fill);
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item)]));
+            }
+            return value;
+        };
+
+        return { steps: definition.steps.map(fill), error: null, adapter: adapter.name, name: bare };
+    }
+
+    // Prompt section for the adapters matching the current page
+    function describe(adapters) {
+        return adapters.map(adapter => {
+            const lines = [`Site adapter "${adapter.name}"${adapter.description ? ` (${adapter.description})` : ''}:`];
+            lines.push(...adapter.hints.map(hint => `- ${hint}`));
+
+            const aliases = Object.keys(adapter.elements);
+            if (aliases.length) {
+                lines.push(`- Named elements usable as "selector": ${aliases.map(alias => JSON.stringify(alias)).join(', ')}`);
+            }
+            for (const [name, definition] of Object.entries(adapter.actions)) {
+                const params = Object.fromEntries(definition.params.map(param => [param, '...']));
+                const example = { type: 'site_action', name: `${adapter.name}.${name}`, ...(definition.params.length ? { params } : {}) };
+                lines.push(`- ${JSON.stringify({ action: example })}${definition.description ? ` - ${definition.description}` : ''}`);
+            }
+            return lines.join('\n');
+        }).join('\n\n');
+    }
+
+    // Export for the service worker
+    self.SiteAdapters = {
+        BUNDLED_FILES,
+        normalizeAlias,
+        compilePattern,
+        validateAdapter,
+        resolveAdapters,
+        loadBundled,
+        adaptersFor,
+        elementsFor,
+        expandAction,
+        describe
+    };
+})();
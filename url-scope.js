@@ -0,0 +1,84 @@
+// URL Scope - Domain allowlist/blocklist and URL scheme restrictions
+// Shared by the service worker and the content script so both enforce the same rules
+
+(function() {
+    if (self.UrlScope) return;
+
+    const DEFAULT_SCOPE = {
+        mode: 'blocklist',
+        allowlist: [],
+        blocklist: [],
+        allowedSchemes: ['http', 'https']
+    };
+
+    // Blank tabs are how new_tab starts when no URL is given
+    const ALWAYS_ALLOWED = ['about:blank'];
+
+    function normalizeDomain(domain) {
+        return String(domain)
+            .trim()
+            .toLowerCase()
+            .replace(/^[a-z]+:\/\//, '')
+            .replace(/^\*\./, '')
+            .replace(/^www\./, '')
+            .replace(/[/:].*$/, '');
+    }
+
+    function normalizeList(list) {
+        const items = Array.isArray(list) ? list : String(list || '').split(/[\s,]+/);
+        return [...new Set(items.map(normalizeDomain).filter(Boolean))];
+    }
+
+    function resolveScope(stored = {}) {
+        const schemes = normalizeList(stored.allowedSchemes || DEFAULT_SCOPE.allowedSchemes)
+            .map(scheme => scheme.replace(/:$/, ''));
+
+        return {
+            mode: stored.mode === 'allowlist' ? 'allowlist' : 'blocklist',
+            allowlist: normalizeList(stored.allowlist),
+            blocklist: normalizeList(stored.blocklist),
+            allowedSchemes: schemes.length ? schemes : [...DEFAULT_SCOPE.allowedSchemes]
+        };
+    }
+
+    function matchesDomain(hostname, domains) {
+        return domains.find(domain => hostname === domain || hostname.endsWith(`.${domain}`)) || null;
+    }
+
+    // Returns { allowed, reason } for a URL under the given scope
+    function checkUrl(url, scope, baseUrl) {
+        if (ALWAYS_ALLOWED.includes(url)) {
+            return { allowed: true, reason: null };
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url, baseUrl);
+        } catch (error) {
+            return { allowed: false, reason: `"${url}" is not a valid URL` };
+        }
+
+        const scheme = parsed.protocol.replace(/:$/, '');
+        if (!scope.allowedSchemes.includes(scheme)) {
+            return { allowed: false, reason: `${scheme}: URLs are not allowed (allowed: ${scope.allowedSchemes.join(', ')})` };
+        }
+
+        const hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        const blocked = matchesDomain(hostname, scope.blocklist);
+        if (blocked) {
+            return { allowed: false, reason: `${hostname} is on the blocklist (${blocked})` };
+        }
+
+        if (scope.mode === 'allowlist' && !matchesDomain(hostname, scope.allowlist)) {
+            return { allowed: false, reason: `${hostname} is not on the allowlist` };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    self.UrlScope = {
+        DEFAULT_SCOPE,
+        resolveScope,
+        checkUrl
+    };
+})();